@@ -0,0 +1,62 @@
+const { MongoClient } = require("mongodb");
+require("dotenv").config();
+const { parseArgs } = require("./lib/config");
+const { DEFAULT_HISTORY_COLLECTION } = require("./lib/history");
+const { DEFAULT_RUNS_COLLECTION } = require("./lib/runs");
+const { ensureTextIndex } = require("./lib/storage");
+const { createApiServer } = require("./lib/apiServer");
+
+// Serves the jobs collection over a read-only REST API, see lib/apiServer.js for the endpoints,
+// and the browser dashboard in dashboard/ at the server root.
+// Usage: node api_server.js [--port 3000] [--host 127.0.0.1] [--token secret] [--mongoUri uri] [--dbName name]
+
+const params = parseArgs(process.argv.slice(2));
+
+// Server configuration
+const PORT = parseInt(params.port || process.env.API_PORT || "3000", 10);
+const HOST = params.host || process.env.API_HOST || "127.0.0.1"; // Local only unless set to 0.0.0.0
+const TOKEN = params.token || process.env.API_TOKEN || null; // Require "Authorization: Bearer <token>" when set
+
+// MongoDB configuration
+const MONGODB_URI = params.mongoUri || process.env.MONGODB_URI || "mongodb://localhost:27017";
+const DB_NAME = params.dbName || process.env.DB_NAME || "naukri_jobs_db";
+const COLLECTION_NAME = params.collection || process.env.COLLECTION_NAME || "jobs";
+const HISTORY_COLLECTION_NAME = params.historyCollection || process.env.HISTORY_COLLECTION_NAME || DEFAULT_HISTORY_COLLECTION;
+const RUNS_COLLECTION_NAME = params.runsCollection || process.env.RUNS_COLLECTION_NAME || DEFAULT_RUNS_COLLECTION;
+
+async function startApiServer() {
+  const client = new MongoClient(MONGODB_URI);
+  await client.connect();
+  console.log(`Connected to MongoDB, serving ${DB_NAME}.${COLLECTION_NAME}`);
+
+  const db = client.db(DB_NAME);
+  await ensureTextIndex(db.collection(COLLECTION_NAME));
+  const server = createApiServer({
+    db,
+    collection: COLLECTION_NAME,
+    historyCollection: HISTORY_COLLECTION_NAME,
+    runsCollection: RUNS_COLLECTION_NAME,
+    token: TOKEN,
+  });
+
+  const shutdown = () => {
+    console.log("Shutting down API server...");
+    server.close(() => {
+      client.close().then(() => console.log("MongoDB connection closed"));
+    });
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(PORT, HOST, resolve);
+  });
+  console.log(`API server listening on http://${HOST}:${PORT}/api${TOKEN ? " (token required)" : ""}`);
+  console.log(`Dashboard: http://${HOST}:${PORT}/`);
+}
+
+startApiServer().catch(err => {
+  console.error("Error starting API server:", err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,65 @@
+const { MongoClient } = require("mongodb");
+require("dotenv").config();
+const { parseArgs } = require("./lib/config");
+const { deriveJobFields } = require("./lib/jobFields");
+
+// Recomputes derived fields (experienceMin/experienceMax, ...) on jobs already stored in MongoDB.
+// Usage: node backfill_jobs.js [--mongoUri uri] [--dbName name] [--collection name] [--batchSize 500]
+
+const params = parseArgs(process.argv.slice(2));
+
+// MongoDB configuration
+const MONGODB_URI = params.mongoUri || process.env.MONGODB_URI || "mongodb://localhost:27017";
+const DB_NAME = params.dbName || process.env.DB_NAME || "naukri_jobs_db";
+const COLLECTION_NAME = params.collection || process.env.COLLECTION_NAME || "jobs";
+const BATCH_SIZE = parseInt(params.batchSize || "500");
+
+async function backfillJobs() {
+  const client = new MongoClient(MONGODB_URI);
+
+  try {
+    await client.connect();
+    console.log("Connected to MongoDB");
+
+    const jobsCollection = client.db(DB_NAME).collection(COLLECTION_NAME);
+    const cursor = jobsCollection.find({});
+    let operations = [];
+    let scanned = 0;
+    let modified = 0;
+
+    const flush = async () => {
+      if (operations.length === 0) return;
+      const result = await jobsCollection.bulkWrite(operations, { ordered: false });
+      modified += result.modifiedCount;
+      operations = [];
+    };
+
+    for await (const job of cursor) {
+      scanned++;
+      operations.push({
+        updateOne: {
+          filter: { _id: job._id },
+          update: { $set: deriveJobFields(job) },
+        },
+      });
+      if (operations.length >= BATCH_SIZE) {
+        await flush();
+        console.log(`Processed ${scanned} jobs...`);
+      }
+    }
+    await flush();
+
+    console.log(`Scanned ${scanned} jobs, updated ${modified}`);
+    return modified;
+  } finally {
+    await client.close();
+    console.log("MongoDB connection closed");
+  }
+}
+
+backfillJobs()
+  .then(count => console.log(`Backfill completed, updated ${count} jobs`))
+  .catch(err => {
+    console.error("Error running backfill:", err);
+    process.exitCode = 1;
+  });
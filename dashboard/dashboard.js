@@ -0,0 +1,318 @@
+// --- Jobs Dashboard ---
+// Browser UI served by api_server.js. Reads everything through the REST API; job text is
+// always inserted as text, never as HTML, because descriptions come from scraped pages.
+
+(function () {
+  "use strict";
+
+  const PAGE_SIZE = 25;
+  const RECENT_RUNS = 10;
+  const TOKEN_KEY = "naukriApiToken";
+
+  const state = { params: { status: "active" }, page: 1, total: 0, selectedJobId: null };
+
+  // --- Helpers ---
+
+  /**
+   * Creates an element with text content and optional class name.
+   * @param {string} tag
+   * @param {string} [className]
+   * @param {string} [text]
+   * @returns {HTMLElement}
+   */
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined && text !== null) node.textContent = String(text);
+    return node;
+  }
+
+  /**
+   * Fetches an API path. Asks for the API token when the server requires one.
+   * @param {string} path - e.g. "/api/jobs?limit=25".
+   * @returns {Promise<Object>} - Parsed JSON body.
+   */
+  async function api(path) {
+    const token = localStorage.getItem(TOKEN_KEY);
+    const response = await fetch(path, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+    if (response.status === 401) {
+      const entered = window.prompt("This API requires a token:");
+      if (!entered) throw new Error("API token required");
+      localStorage.setItem(TOKEN_KEY, entered);
+      return api(path);
+    }
+    const body = await response.json();
+    if (!response.ok) throw new Error(body.error || `HTTP ${response.status}`);
+    return body;
+  }
+
+  /**
+   * Returns a scraped link if it is a web address; anything else (e.g. "javascript:") is dropped.
+   * @param {string|undefined} value
+   * @returns {string|null}
+   */
+  function webUrl(value) {
+    try {
+      const url = new URL(value);
+      return url.protocol === "http:" || url.protocol === "https:" ? url.href : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Formats a stored date for display.
+   * @param {string|null} value - ISO date from the API.
+   * @returns {string}
+   */
+  function formatDate(value) {
+    return value ? new Date(value).toLocaleString() : "-";
+  }
+
+  /**
+   * Badge for a job's application type and, when closed, its status.
+   * @param {Object} job
+   * @returns {DocumentFragment}
+   */
+  function jobBadges(job) {
+    const fragment = document.createDocumentFragment();
+    const type = String(job["Application Type"] || "").toLowerCase();
+    if (type === "internal" || type === "external") {
+      fragment.append(el("span", `badge ${type}`, type === "internal" ? "Internal" : "External"));
+    }
+    if (job.status === "expired" || job.status === "removed") {
+      fragment.append(el("span", "badge closed", job.status === "expired" ? "Expired" : "Removed"));
+    }
+    return fragment;
+  }
+
+  /**
+   * Renders a search snippet, turning its **match** markers into <mark> elements.
+   * @param {string} snippet
+   * @returns {HTMLElement}
+   */
+  function renderSnippet(snippet) {
+    const node = el("div", "snippet");
+    snippet.split("**").forEach((part, i) => {
+      node.append(i % 2 === 1 ? el("mark", null, part) : document.createTextNode(part));
+    });
+    return node;
+  }
+
+  function showError(container, error) {
+    container.replaceChildren(el("p", "empty", `Could not load: ${error.message}`));
+  }
+
+  // --- Job List ---
+
+  async function loadJobs() {
+    const list = document.getElementById("job-list");
+    const query = new URLSearchParams({ ...state.params, page: state.page, limit: PAGE_SIZE });
+    try {
+      const result = await api(`/api/jobs?${query}`);
+      state.total = result.total;
+      list.replaceChildren(...result.jobs.map(renderJobItem));
+      if (result.jobs.length === 0) list.append(el("li", "empty", "No jobs match these filters."));
+      const pages = Math.max(1, Math.ceil(result.total / PAGE_SIZE));
+      document.getElementById("jobs-summary").textContent = `${result.total} jobs`;
+      document.getElementById("page-label").textContent = `Page ${state.page} of ${pages}`;
+      document.getElementById("prev-page").disabled = state.page <= 1;
+      document.getElementById("next-page").disabled = state.page >= pages;
+    } catch (error) {
+      showError(list, error);
+    }
+  }
+
+  // Older records may lack a jobId; the detail route also finds jobs by _id or URL
+  function jobKey(job) {
+    return job.jobId || job._id || job["Job URL"];
+  }
+
+  function renderJobItem(job) {
+    const item = el("li");
+    const key = jobKey(job);
+    item.dataset.jobId = key;
+    if (key === state.selectedJobId) item.classList.add("selected");
+
+    const title = el("div", "job-title", job["Job Title"]);
+    title.append(jobBadges(job));
+    const meta = [job["Company Name"], job["Location"], job["Experience Required"], job["Salary"]]
+      .filter(value => value && value !== "Not available")
+      .join(" · ");
+    item.append(title, el("div", "job-meta", meta));
+    (job.snippets || []).slice(0, 1).forEach(snippet => item.append(renderSnippet(snippet)));
+
+    item.addEventListener("click", () => selectJob(key));
+    return item;
+  }
+
+  // --- Job Detail ---
+
+  async function selectJob(jobId) {
+    state.selectedJobId = jobId;
+    document.querySelectorAll("#job-list li").forEach(item => {
+      item.classList.toggle("selected", item.dataset.jobId === jobId);
+    });
+    const detail = document.getElementById("job-detail");
+    detail.hidden = false;
+    try {
+      renderJobDetail(detail, await api(`/api/jobs/${encodeURIComponent(jobId)}`));
+    } catch (error) {
+      showError(detail, error);
+    }
+  }
+
+  function renderJobDetail(detail, job) {
+    const heading = el("h2", null, job["Job Title"]);
+    heading.append(jobBadges(job));
+
+    const facts = el("dl");
+    const rows = [
+      ["Company", job["Company Name"]],
+      ["Location", job["Location"]],
+      ["Experience", job["Experience Required"]],
+      ["Salary", job["Salary"]],
+      ["Posted", job["Posted"]],
+      ["Openings", job["Openings"]],
+      ["Applicants", job["Applicants"]],
+      ["Found by", `"${job["Search Query"]}" in ${job["Search Location"]}`],
+      ["First scraped", formatDate(job.firstScraped || job["Scraped Date"])],
+      ["Last seen", formatDate(job.lastSeen)],
+    ];
+    for (const [label, value] of rows) {
+      facts.append(el("dt", null, label), el("dd", null, value || "-"));
+    }
+
+    const jobUrl = webUrl(job["Job URL"]);
+    const link = el("a", null, "Open on Naukri");
+    if (jobUrl) {
+      link.href = jobUrl;
+      link.target = "_blank";
+      link.rel = "noopener noreferrer";
+    }
+
+    // Prefer the canonical skill names; fall back to the tags as scraped
+    const skillNames = (job.skillsCanonical && job.skillsCanonical.length ? job.skillsCanonical : job.skillsRaw)
+      || String(job["Skills"] || "").split(",").map(skill => skill.trim()).filter(skill => skill && skill !== "Not available");
+    const skills = el("ul", "skills");
+    skills.append(...skillNames.map(skill => el("li", null, skill)));
+
+    detail.replaceChildren(
+      heading,
+      ...(jobUrl ? [link] : []),
+      facts,
+      el("h3", null, "Skills"),
+      skillNames.length ? skills : el("p", "empty", "No skills listed."),
+      el("h3", null, "Description"),
+      el("div", "description", job["Job Description"])
+    );
+    detail.scrollTop = 0;
+  }
+
+  // --- Run Charts ---
+
+  async function loadRuns() {
+    const container = document.getElementById("run-charts");
+    try {
+      const { runs } = await api(`/api/runs?mode=search&limit=${RECENT_RUNS}`);
+      container.replaceChildren(...runs.map(renderRunChart));
+      if (runs.length === 0) container.append(el("p", "empty", "No scrape runs recorded yet."));
+    } catch (error) {
+      showError(container, error);
+    }
+  }
+
+  function renderRunChart(run) {
+    const chart = el("div", "run-chart");
+    const totals = run.summary || run.progress || {};
+    chart.append(el("h3", null,
+      `${formatDate(run.startedAt)} - ${run.status} - ${totals.newJobsCount || 0} new jobs`));
+    if (run.summary && run.summary.error) chart.append(el("p", "run-error", run.summary.error));
+
+    const searches = run.summary ? run.summary.searches || [] : [];
+    if (searches.length === 0) {
+      chart.append(el("p", "empty", run.summary ? "No searches in this run." : "Run still in progress."));
+      return chart;
+    }
+    const max = Math.max(1, ...searches.map(search => (search.internalCount || 0) + (search.externalCount || 0)));
+    for (const search of searches) {
+      const internal = search.internalCount || 0;
+      const external = search.externalCount || 0;
+      const bar = el("div", "bar");
+      const internalBar = el("span", "internal");
+      internalBar.style.width = `${(internal / max) * 100}%`;
+      const externalBar = el("span", "external");
+      externalBar.style.width = `${(external / max) * 100}%`;
+      bar.append(internalBar, externalBar);
+      bar.title = `${internal} internal, ${external} external`;
+
+      const row = el("div", "bar-row");
+      row.append(
+        el("span", null, `"${search.query}" in ${search.location} (${search.experience})`),
+        bar,
+        el("span", null, `${internal} / ${external}`)
+      );
+      if (search.error) row.title = search.error;
+      chart.append(row);
+    }
+    return chart;
+  }
+
+  // --- Status and Navigation ---
+
+  async function loadStatus() {
+    try {
+      const status = await api("/api/status");
+      const latest = status.latestRun ? `last run ${formatDate(status.latestRun.startedAt)} (${status.latestRun.status})` : "no runs yet";
+      document.getElementById("status-line").textContent =
+        `${status.jobs.active} open, ${status.jobs.expired + status.jobs.removed} closed - ${latest}`;
+    } catch (error) {
+      document.getElementById("status-line").textContent = `Status unavailable: ${error.message}`;
+    }
+  }
+
+  function showView() {
+    const view = location.hash === "#runs" ? "runs" : "jobs";
+    document.getElementById("jobs-view").hidden = view !== "jobs";
+    document.getElementById("runs-view").hidden = view !== "runs";
+    document.querySelectorAll("header nav a").forEach(link => {
+      link.classList.toggle("active", link.dataset.view === view);
+    });
+    if (view === "runs") loadRuns();
+  }
+
+  function readFilters(form) {
+    const params = {};
+    for (const [name, value] of new FormData(form)) {
+      if (String(value).trim()) params[name] = String(value).trim();
+    }
+    return params;
+  }
+
+  document.addEventListener("DOMContentLoaded", () => {
+    const form = document.getElementById("filters");
+    form.addEventListener("submit", event => {
+      event.preventDefault();
+      state.params = readFilters(form);
+      state.page = 1;
+      loadJobs();
+    });
+    form.addEventListener("reset", () => {
+      // The reset event fires before the fields are cleared, so filter on the next tick
+      setTimeout(() => form.requestSubmit(), 0);
+    });
+    document.getElementById("prev-page").addEventListener("click", () => {
+      state.page--;
+      loadJobs();
+    });
+    document.getElementById("next-page").addEventListener("click", () => {
+      state.page++;
+      loadJobs();
+    });
+    window.addEventListener("hashchange", showView);
+
+    showView();
+    loadStatus();
+    loadJobs();
+  });
+})();
@@ -0,0 +1,205 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { ObjectId } = require("mongodb");
+const { buildJobQuery, runJobQuery, findJob } = require("./jobQuery");
+const { loadJobHistory } = require("./history");
+const { loadRecentRuns } = require("./runs");
+
+// --- REST API ---
+// Read-only HTTP API over the jobs collection, so other tools can use the data without
+// database credentials. Job filters are the query_jobs.js options as URL parameters.
+//
+//   GET /api/jobs                 - Filtered, sorted page of jobs: { total, skip, limit, page, jobs }
+//   GET /api/jobs/:jobId          - One job
+//   GET /api/jobs/:jobId/history  - A job's change history
+//   GET /api/runs                 - Recent scrape and refresh runs (?limit, ?status, ?mode)
+//   GET /api/runs/:runId          - One run with its summary
+//   GET /api/status               - Job counts by status, the latest run and runs in progress
+//
+// Every other GET path is a file of the browser dashboard. Those files hold no job data, so
+// they are served without the token; the dashboard asks for it when the API answers 401.
+
+const MAX_PAGE_SIZE = 200;
+const DEFAULT_DASHBOARD_DIR = path.join(__dirname, "..", "dashboard");
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon",
+};
+
+/**
+ * Sends a JSON response.
+ * @param {http.ServerResponse} res
+ * @param {number} statusCode
+ * @param {*} body
+ */
+function sendJson(res, statusCode, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(statusCode, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(payload),
+  });
+  res.end(payload);
+}
+
+/**
+ * Sends a dashboard file, index.html for "/".
+ * @param {http.ServerResponse} res
+ * @param {string} dashboardDir - Directory the files are served from.
+ * @param {string} pathname - Request path.
+ * @returns {Promise<void>}
+ */
+async function sendDashboardFile(res, dashboardDir, pathname) {
+  const root = path.resolve(dashboardDir);
+  const file = path.resolve(root, `.${pathname === "/" ? "/index.html" : pathname}`);
+  const contentType = CONTENT_TYPES[path.extname(file)];
+  if (!file.startsWith(root + path.sep) || !contentType) {
+    return sendJson(res, 404, { error: `Not found: ${pathname}` });
+  }
+  let content;
+  try {
+    content = await fs.promises.readFile(file);
+  } catch (readError) {
+    if (readError.code !== "ENOENT" && readError.code !== "EISDIR") throw readError;
+    return sendJson(res, 404, { error: `Not found: ${pathname}` });
+  }
+  res.writeHead(200, { "Content-Type": contentType, "Content-Length": content.length });
+  res.end(content);
+}
+
+/**
+ * Creates the API server. It is not listening yet.
+ * @param {Object} options
+ * @param {import('mongodb').Db} options.db - Connected database.
+ * @param {string} options.collection - Jobs collection name.
+ * @param {string} options.historyCollection - Job history collection name.
+ * @param {string} options.runsCollection - Run records collection name.
+ * @param {string|null} [options.token] - When set, API requests must send "Authorization: Bearer <token>".
+ * @param {string|null} [options.dashboardDir] - Directory of the dashboard files; null disables the dashboard.
+ * @returns {http.Server}
+ */
+function createApiServer({
+  db,
+  collection,
+  historyCollection,
+  runsCollection,
+  token = null,
+  dashboardDir = DEFAULT_DASHBOARD_DIR,
+}) {
+  const jobs = db.collection(collection);
+  const history = db.collection(historyCollection);
+  const runs = db.collection(runsCollection);
+
+  const routes = [
+    {
+      pattern: /^\/api\/jobs$/,
+      handle: async url => {
+        const params = Object.fromEntries(url.searchParams);
+        let query;
+        try {
+          query = buildJobQuery(params, { maxLimit: MAX_PAGE_SIZE });
+        } catch (paramError) {
+          return [400, { error: paramError.message }];
+        }
+        const result = await runJobQuery(jobs, query);
+        return [200, { ...result, page: Math.floor(result.skip / result.limit) + 1 }];
+      },
+    },
+    {
+      pattern: /^\/api\/jobs\/([^/]+)$/,
+      handle: async (url, jobId) => {
+        const job = await findJob(jobs, jobId);
+        return job ? [200, job] : [404, { error: `No job with ID ${jobId}` }];
+      },
+    },
+    {
+      pattern: /^\/api\/jobs\/([^/]+)\/history$/,
+      handle: async (url, jobId) => [200, { jobId, history: await loadJobHistory(history, jobId) }],
+    },
+    {
+      pattern: /^\/api\/runs$/,
+      handle: async url => {
+        const filter = {};
+        if (url.searchParams.get("mode")) filter.mode = url.searchParams.get("mode");
+        if (url.searchParams.get("status")) filter.status = url.searchParams.get("status");
+        const limit = Math.min(MAX_PAGE_SIZE, parseInt(url.searchParams.get("limit"), 10) || 20);
+        return [200, { runs: await loadRecentRuns(runs, { limit, filter }) }];
+      },
+    },
+    {
+      pattern: /^\/api\/runs\/([^/]+)$/,
+      handle: async (url, runId) => {
+        if (!ObjectId.isValid(runId)) return [400, { error: `Invalid run ID ${runId}` }];
+        const [run] = await loadRecentRuns(runs, { limit: 1, filter: { _id: new ObjectId(runId) } });
+        return run ? [200, run] : [404, { error: `No run with ID ${runId}` }];
+      },
+    },
+    {
+      pattern: /^\/api\/status$/,
+      handle: async () => {
+        const counts = await jobs.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]).toArray();
+        const byStatus = { active: 0, expired: 0, removed: 0 };
+        let total = 0;
+        for (const { _id: status, count } of counts) {
+          // Jobs stored before status tracking have no status and count as open
+          const key = status === "expired" || status === "removed" ? status : "active";
+          byStatus[key] += count;
+          total += count;
+        }
+        const [latestRun] = await loadRecentRuns(runs, { limit: 1 });
+        const runningRuns = await loadRecentRuns(runs, { filter: { status: "running" } });
+        return [200, {
+          jobs: { total, ...byStatus },
+          latestRun: latestRun || null,
+          runningRuns: runningRuns.filter(run => run.status === "running"),
+          checkedAt: new Date(),
+        }];
+      },
+    },
+  ];
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const startedAt = Date.now();
+    res.on("finish", () => {
+      console.log(`${req.method} ${url.pathname}${url.search} ${res.statusCode} ${Date.now() - startedAt}ms`);
+    });
+
+    try {
+      const isApiPath = url.pathname === "/api" || url.pathname.startsWith("/api/");
+      if (req.method === "GET" && !isApiPath && dashboardDir) {
+        return await sendDashboardFile(res, dashboardDir, decodeURIComponent(url.pathname));
+      }
+      if (token && req.headers.authorization !== `Bearer ${token}`) {
+        return sendJson(res, 401, { error: "Missing or wrong API token" });
+      }
+      if (req.method !== "GET") {
+        return sendJson(res, 405, { error: `${req.method} is not supported, the API is read-only` });
+      }
+      for (const route of routes) {
+        const match = url.pathname.match(route.pattern);
+        if (match) {
+          const [statusCode, body] = await route.handle(url, ...match.slice(1).map(decodeURIComponent));
+          return sendJson(res, statusCode, body);
+        }
+      }
+      sendJson(res, 404, { error: `Not found: ${url.pathname}` });
+    } catch (error) {
+      if (error instanceof URIError) {
+        // decodeURIComponent of a malformed escape such as "%ZZ"
+        return sendJson(res, 400, { error: `Malformed URL: ${url.pathname}` });
+      }
+      console.error(`Error handling ${req.method} ${url.pathname}: ${error.message}`);
+      sendJson(res, 500, { error: "Internal server error" });
+    }
+  });
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  DEFAULT_DASHBOARD_DIR,
+  createApiServer,
+};
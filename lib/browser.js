@@ -0,0 +1,692 @@
+const {
+  Builder,
+  By,
+  until,
+  error: WebDriverError,
+} = require("selenium-webdriver");
+const chrome = require("selenium-webdriver/chrome");
+const fs = require("fs");
+const {
+  MAX_RETRIES,
+  SHORT_WAIT,
+  SLEEP_INTERVAL,
+  LONG_SLEEP_INTERVAL,
+  NAUKRI_BASE_URL,
+  DEFAULT_COOKIES_FILE,
+} = require("./config");
+const { takeScreenshot } = require("./webdriverHelpers");
+
+// --- Browser Session Helpers ---
+
+/**
+ * Attempts to restore the browser session using saved cookies.
+ * @param {import('selenium-webdriver').WebDriver} driver - The Selenium WebDriver instance.
+ * @param {string} cookiesFile - Path of the saved cookies file.
+ * @returns {Promise<boolean>} - True if cookies were restored successfully, false otherwise.
+ */
+async function tryRestoreCookies(driver, cookiesFile = DEFAULT_COOKIES_FILE) {
+  if (!fs.existsSync(cookiesFile)) {
+    console.log("No saved cookies file found.");
+    return false;
+  }
+  try {
+    console.log("Found saved cookies. Attempting to restore session...");
+    const cookiesData = JSON.parse(fs.readFileSync(cookiesFile, "utf8"));
+
+    // Navigate to the base domain first to set cookies
+    await driver.get(NAUKRI_BASE_URL);
+    await driver.sleep(LONG_SLEEP_INTERVAL); // Wait for initial load
+
+    // Delete any existing cookies before setting new ones
+    await driver.manage().deleteAllCookies();
+    await driver.sleep(1000);
+
+    // Set domain cookies first, then the rest
+    const domainCookies = cookiesData.filter(c => c.domain && c.domain.includes("naukri"));
+    const otherCookies = cookiesData.filter(c => !c.domain || !c.domain.includes("naukri"));
+
+    // Add domain cookies first
+    for (const cookie of domainCookies) {
+      try {
+        if (cookie.name && cookie.value) {
+          // Ensure domain starts with a dot if it's a subdomain pattern
+          let domain = cookie.domain || ".naukri.com";
+          if (!domain.startsWith(".") && domain.includes("naukri.com") && domain !== "naukri.com") {
+              domain = "." + domain;
+          }
+          await driver.manage().addCookie({
+            name: cookie.name,
+            value: cookie.value,
+            domain: domain,
+            path: cookie.path || "/",
+            secure: !!cookie.secure,
+            httpOnly: !!cookie.httpOnly,
+            // expiry: cookie.expiry ? new Date(cookie.expiry * 1000) : undefined // Handle expiry if present
+          });
+        }
+      } catch (e) {
+        console.warn(`Cookie error (ignored): ${cookie.name} - ${e.message}`);
+      }
+    }
+
+    // Then add other cookies if any (less critical)
+    for (const cookie of otherCookies) {
+      try {
+        if (cookie.name && cookie.value) {
+          await driver.manage().addCookie({
+            name: cookie.name,
+            value: cookie.value,
+            domain: cookie.domain || null, // Let the browser handle domain if not specified
+            path: cookie.path || "/",
+            secure: !!cookie.secure,
+            httpOnly: !!cookie.httpOnly,
+            // expiry: cookie.expiry ? new Date(cookie.expiry * 1000) : undefined
+          });
+        }
+      } catch (e) {
+        // Ignore any errors for non-domain cookies
+         console.warn(`Non-domain cookie error (ignored): ${cookie.name} - ${e.message}`);
+      }
+    }
+
+    console.log("Cookies applied. Refreshing page to activate session...");
+    await driver.navigate().refresh();
+    await driver.sleep(LONG_SLEEP_INTERVAL);
+
+    // Sometimes a second refresh helps establish the session
+    await driver.navigate().refresh();
+    await driver.sleep(SHORT_WAIT);
+
+    return true;
+  } catch (error) {
+    console.error(`Error restoring cookies: ${error.message}`);
+    // Attempt to remove corrupted cookies file
+    try {
+      fs.unlinkSync(cookiesFile);
+      console.log("Removed potentially corrupted cookies file.");
+    } catch (unlinkError) {
+      console.error("Error removing cookies file:", unlinkError.message);
+    }
+    return false;
+  }
+}
+
+/**
+ * Saves the current browser session cookies to a file.
+ * @param {import('selenium-webdriver').WebDriver} driver - The Selenium WebDriver instance.
+ * @param {string} cookiesFile - Path to write the cookies to.
+ * @returns {Promise<boolean>} - True if cookies were saved successfully, false otherwise.
+ */
+async function saveCookies(driver, cookiesFile = DEFAULT_COOKIES_FILE) {
+  try {
+    console.log("Saving cookies for future sessions...");
+    const cookies = await driver.manage().getCookies();
+    fs.writeFileSync(cookiesFile, JSON.stringify(cookies, null, 2));
+    console.log("Cookies saved successfully!");
+    return true;
+  } catch (error) {
+    console.error(`Error saving cookies: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Checks if the user is logged in by looking for specific elements on the page.
+ * Uses a shorter timeout for efficiency.
+ * @param {import('selenium-webdriver').WebDriver} driver - The Selenium WebDriver instance.
+ * @returns {Promise<boolean>} - True if the user appears to be logged in, false otherwise.
+ */
+async function checkIfLoggedIn(driver) {
+  console.log("Checking login status...");
+
+  // First check the current URL - this is a quick way to determine login status
+  try {
+    const currentUrl = await driver.getCurrentUrl();
+    if (currentUrl.includes("mynaukri") || currentUrl.includes("/v1/user/dashboard")) {
+      console.log(`User appears to be logged in (URL indicates logged-in area: ${currentUrl}).`);
+      return true;
+    }
+  } catch (e) {
+      console.warn(`Could not get current URL during login check: ${e.message}`);
+  }
+
+  // Expanded robust selectors for logged-in state
+  const loggedInIndicators = [
+    // Header elements
+    By.css("div.nI-gNb-bar1"), // Global nav bar
+    By.css("a.user-name"),     // User name link (older?)
+    By.css("div.user-name"),    // User name div (older?)
+    By.css("div.nI-gNb-nav__visible"), // Visible part of nav
+    By.css("img.user-pic"),     // User profile picture
+    By.css('[data-ga-track*="My Naukri"]'), // My Naukri link
+    By.css('a[href*="mynaukri.naukri.com"]'), // Link to My Naukri
+    By.css(".nI-gNb-info"), // User info section in header
+    By.css("div.view-profile-wrapper"), // View profile link container
+    By.css("a[href*='/profile-summary']"), // Link to profile summary
+
+    // Profile-related elements
+    By.css("div.user-info"),    // Generic user info div
+    By.css("div.user-avatar"),  // User avatar container
+    By.css("div.profile-section"), // Any profile section
+
+    // Text-based indicators using XPath
+    By.xpath("//*[contains(text(), 'My Naukri')]"),
+    By.xpath("//*[contains(text(), 'My Profile')]"),
+    By.xpath("//*[contains(text(), 'Logout')]"), // Logout button presence
+
+    // Dashboard elements
+    By.css(".dashboard-container"), // Main dashboard container
+    By.css(".profile-completion"), // Profile completion widget
+    By.css(".recommended-jobs") // Recommended jobs section
+  ];
+
+  for (const locator of loggedInIndicators) {
+    try {
+      // Use a shorter wait time for checking indicators
+      const element = await driver.wait(until.elementLocated(locator), SHORT_WAIT / 2);
+      if (await element.isDisplayed()) {
+        console.log(`User is logged in (found indicator: ${locator.toString()}).`);
+        return true;
+      }
+    } catch (e) {
+      // Element not found or not visible within the short timeout, continue checking
+      if (!(e instanceof WebDriverError.TimeoutError || e instanceof WebDriverError.NoSuchElementError)) {
+          console.warn(`Error checking login indicator ${locator.toString()}: ${e.message}`);
+      }
+    }
+  }
+
+  // Check for login/register buttons to confirm not logged in
+  const loggedOutIndicators = [
+    By.css('a#login_Layer'),          // Login layer link
+    By.css('a.loginButton'),          // Generic login button class
+    By.css('a.nI-gNb-lg-rg__login'),  // Login button in header
+    By.xpath("//a[contains(text(), 'Login')]"), // Any link with text 'Login'
+    By.xpath("//button[contains(text(), 'Login')]") // Any button with text 'Login'
+  ];
+
+  for (const locator of loggedOutIndicators) {
+    try {
+      const element = await driver.wait(until.elementLocated(locator), SHORT_WAIT / 2);
+      if (await element.isDisplayed()) {
+        console.log(`User is definitely not logged in (found login button: ${locator.toString()}).`);
+        return false;
+      }
+    } catch (e) {
+       if (!(e instanceof WebDriverError.TimeoutError || e instanceof WebDriverError.NoSuchElementError)) {
+          console.warn(`Error checking logout indicator ${locator.toString()}: ${e.message}`);
+      }
+    }
+  }
+
+  // Take a screenshot if status is ambiguous
+  try {
+    const screenshot = await driver.takeScreenshot();
+    fs.writeFileSync("login_check_state.png", screenshot, "base64");
+    console.log("Saved screenshot of page during login check as login_check_state.png");
+  } catch (e) {
+    console.warn(`Failed to take screenshot during login check: ${e.message}`);
+  }
+
+  console.log("Could not definitively determine login status based on common indicators. Assuming not logged in.");
+  return false;
+}
+
+/**
+ * Attempts to log in to Naukri.com.
+ * @param {import('selenium-webdriver').WebDriver} driver - The Selenium WebDriver instance.
+ * @param {string} email - The user's email address.
+ * @param {string} password - The user's password.
+ * @returns {Promise<boolean>} - True if login was successful, false otherwise.
+ */
+async function loginToNaukri(driver, email, password) {
+  if (!email || !password) {
+    console.log("Email or Password not provided. Skipping login attempt.");
+    return false;
+  }
+
+  try {
+    console.log("Attempting login to Naukri.com...");
+
+    // Try with direct login page URL first
+    await driver.get("https://www.naukri.com/nlogin/login");
+    await driver.sleep(LONG_SLEEP_INTERVAL);
+
+    // Additional check - sometimes we get redirected to homepage instead of login page
+    let currentUrl = await driver.getCurrentUrl();
+    if (!currentUrl.includes("login")) {
+      console.log("Not on login page - trying alternative login path from homepage");
+
+      // Try to find and click login button if on homepage
+      try {
+        const loginButtonSelectors = [
+          'a#login_Layer',
+          'a.nI-gNb-lg-rg__login',
+          'a[title="Jobseeker Login"]',
+          'a[href*="login"]'
+        ];
+
+        let loginButtonClicked = false;
+        for (const selector of loginButtonSelectors) {
+          try {
+            const loginBtn = await driver.wait(until.elementLocated(By.css(selector)), SHORT_WAIT);
+            if (await loginBtn.isDisplayed() && await loginBtn.isEnabled()) {
+              await loginBtn.click();
+              console.log(`Clicked login button on homepage using selector: ${selector}`);
+              await driver.sleep(LONG_SLEEP_INTERVAL); // Wait for login modal/page
+              loginButtonClicked = true;
+              break;
+            }
+          } catch (e) {
+            // Try next selector
+          }
+        }
+        if (!loginButtonClicked) {
+            console.warn("Could not find or click a visible login button on the homepage.");
+        }
+      } catch (e) {
+        console.error("Error trying to click login button on homepage:", e.message);
+      }
+    }
+
+    // Check if we're on a login page now by looking for the email field
+    let onLoginPage = false;
+    const emailSelectors = [
+      'input[placeholder*="Email ID"]',
+      'input[placeholder*="Username"]',
+      '#usernameField',
+      '#emailTxt',
+      'input[name="email"]',
+      'input[type="email"]'
+    ];
+    let emailField = null;
+
+    for (const selector of emailSelectors) {
+      try {
+        emailField = await driver.wait(until.elementLocated(By.css(selector)), SHORT_WAIT);
+        if (await emailField.isDisplayed()) {
+          console.log(`Found email field with selector: ${selector}`);
+          onLoginPage = true;
+          break;
+        }
+      } catch (e) {
+        // Try next selector
+      }
+    }
+
+    // If still not on login page (or couldn't find email field), try another direct URL
+    if (!onLoginPage) {
+      console.log("Still not on login page or email field not found, trying another login URL...");
+      await driver.get("https://login.naukri.com/nLogin/Login.php"); // Older login URL
+      await driver.sleep(LONG_SLEEP_INTERVAL);
+      // Re-check for email field
+      for (const selector of emailSelectors) {
+        try {
+          emailField = await driver.wait(until.elementLocated(By.css(selector)), SHORT_WAIT);
+          if (await emailField.isDisplayed()) {
+            console.log(`Found email field with selector after second URL attempt: ${selector}`);
+            onLoginPage = true;
+            break;
+          }
+        } catch (e) { }
+      }
+    }
+
+    if (!onLoginPage || !emailField) {
+      console.error("Failed to navigate to login page or locate email input field after multiple attempts.");
+      await takeScreenshot(driver, "login_page_fail_screenshot.png");
+      return false;
+    }
+
+    // --- Enter Credentials ---
+    try {
+        await emailField.clear();
+        await emailField.sendKeys(email);
+        console.log("Entered email");
+        await driver.sleep(500); // Small pause
+    } catch (e) {
+        console.error(`Error interacting with email field: ${e.message}`);
+        return false;
+    }
+
+    // --- Password Field ---
+    const passwordSelectors = [
+      'input[placeholder*="Password"]',
+      'input[type="password"]',
+      '#passwordField',
+      'input[name="password"]'
+    ];
+    let passwordField = null;
+    for (const selector of passwordSelectors) {
+      try {
+        passwordField = await driver.wait(until.elementLocated(By.css(selector)), SHORT_WAIT);
+        if (await passwordField.isDisplayed()) {
+          console.log(`Found password field with selector: ${selector}`);
+          break;
+        }
+      } catch (e) { }
+    }
+
+    if (!passwordField) {
+      console.error("Failed to locate password input field");
+      await takeScreenshot(driver, "login_password_fail_screenshot.png");
+      return false;
+    }
+
+    try {
+        await passwordField.clear();
+        await passwordField.sendKeys(password);
+        console.log("Entered password");
+        await driver.sleep(500);
+    } catch (e) {
+        console.error(`Error interacting with password field: ${e.message}`);
+        return false;
+    }
+
+    // --- Login Button ---
+    const loginButtonSelectors = [
+      'button[type="submit"]',
+      'button.blue-btn', // Common class
+      'button.loginButton', // Another common class
+      'input[type="submit"][value="Login"]', // Input submit
+      'button.btn-primary', // Bootstrap style
+      'button.waves-effect', // Materialize style often used
+      'button:contains("Login")', // Sizzle selector (might not work directly, use XPath below)
+      '//button[normalize-space()="Login"]', // XPath for button with exact text "Login"
+      '//button[contains(normalize-space(),"Login")]' // XPath for button containing text "Login"
+    ];
+    let loginButton = null;
+    for (const selector of loginButtonSelectors) {
+      try {
+        let locatedButton;
+        if (selector.startsWith("//")) { // Check if XPath
+            locatedButton = await driver.wait(until.elementLocated(By.xpath(selector)), SHORT_WAIT);
+        } else if (selector.includes(':contains')) { // Handle potential pseudo-selector via XPath
+             const text = selector.split(':contains("')[1].split('")')[0];
+             const xpathSelector = `//button[contains(normalize-space(),'${text}')]`;
+             locatedButton = await driver.wait(until.elementLocated(By.xpath(xpathSelector)), SHORT_WAIT);
+        } else { // Assume CSS selector
+            locatedButton = await driver.wait(until.elementLocated(By.css(selector)), SHORT_WAIT);
+        }
+
+        if (await locatedButton.isDisplayed() && await locatedButton.isEnabled()) {
+          console.log(`Found login button with selector: ${selector}`);
+          loginButton = locatedButton;
+          break;
+        }
+      } catch (e) {
+         if (!(e instanceof WebDriverError.TimeoutError || e instanceof WebDriverError.NoSuchElementError)) {
+             console.warn(`Error checking login button selector ${selector}: ${e.message}`);
+         }
+      }
+    }
+
+    if (!loginButton) {
+      console.error("Failed to locate a clickable login button");
+      await takeScreenshot(driver, "login_button_fail_screenshot.png");
+      return false;
+    }
+
+    // Scroll to make sure button is in view and click
+    try {
+        await driver.executeScript("arguments[0].scrollIntoView({block: 'center'});", loginButton);
+        await driver.sleep(500); // Wait for scroll
+        await loginButton.click();
+        console.log("Clicked login button");
+    } catch (clickErr) {
+        console.warn(`Direct click failed (${clickErr.message}), trying JavaScript click...`);
+        try {
+            await driver.executeScript("arguments[0].click();", loginButton);
+            console.log("Clicked login button using JavaScript");
+        } catch (jsClickErr) {
+            console.error("JavaScript click also failed:", jsClickErr.message);
+            await takeScreenshot(driver, "login_click_fail_screenshot.png");
+            return false;
+        }
+    }
+
+    // Wait for navigation/login to complete
+    console.log(`Waiting ${LONG_SLEEP_INTERVAL * 1.5 / 1000}s for login process...`);
+    await driver.sleep(LONG_SLEEP_INTERVAL * 1.5);
+
+    // Handle potential captcha or additional verification
+    try {
+      const pageSource = await driver.getPageSource();
+      if (pageSource.toLowerCase().includes("captcha")) {
+        console.error("CAPTCHA detected! Login requires human intervention.");
+        await takeScreenshot(driver, "login_captcha_screenshot.png");
+        return false; // Cannot proceed with CAPTCHA
+      }
+       if (pageSource.toLowerCase().includes("verify mobile") || pageSource.toLowerCase().includes("enter otp")) {
+        console.error("OTP/Verification required! Login requires human intervention.");
+        await takeScreenshot(driver, "login_otp_screenshot.png");
+        return false; // Cannot proceed with OTP
+      }
+    } catch (e) {
+        console.warn(`Could not check page source for CAPTCHA/OTP: ${e.message}`);
+    }
+
+    // Verify login status robustly
+    const isLoggedIn = await checkIfLoggedIn(driver);
+    if (isLoggedIn) {
+      console.log("Login successful!");
+      return true;
+    } else {
+      console.warn("Login verification failed after clicking button.");
+      // Try checking for error messages
+      try {
+        const errorSelectors = [
+          ".error-txt", ".error", ".errorMsg", "div.erLbl", "span.erLbl", ".commonErrorMsg",
+          '[class*="error"]', // Any element with "error" in class
+          '[class*="alert"]' // Any element with "alert" in class
+        ];
+        let errorFound = false;
+        for (const selector of errorSelectors) {
+          try {
+            const errorElements = await driver.findElements(By.css(selector));
+            for (const errorElement of errorElements) {
+                if (await errorElement.isDisplayed()) {
+                    const errorText = await errorElement.getText();
+                    if (errorText && errorText.trim().length > 0) {
+                        console.error(`Login failed. Error message found: ${errorText.trim()}`);
+                        errorFound = true;
+                        break;
+                    }
+                }
+            }
+            if (errorFound) break;
+          } catch (e) {
+            // Ignore if selector not found
+          }
+        }
+        if (!errorFound) {
+            console.warn("No specific error message found on page after failed login attempt.");
+        }
+      } catch (e) {
+        console.warn("Could not check for login error messages:", e.message);
+      }
+
+      await takeScreenshot(driver, "login_verify_fail_screenshot.png");
+      return false;
+    }
+  } catch (error) {
+    console.error(`Error during login process: ${error.message}`);
+    console.error(error.stack); // Log stack trace
+    await takeScreenshot(driver, "login_fatal_error_screenshot.png");
+    return false;
+  }
+}
+
+/**
+ * Initializes the Selenium WebDriver with specified options.
+ * Includes options to evade detection and improve performance.
+ * @returns {Promise<import('selenium-webdriver').WebDriver>} - The initialized WebDriver instance.
+ * @throws {Error} - If WebDriver initialization fails after multiple retries.
+ */
+async function initializeDriver() {
+  let retries = 0;
+  while (retries < MAX_RETRIES) {
+    try {
+      console.log(
+        `Initializing WebDriver (attempt ${retries + 1}/${MAX_RETRIES})...`
+      );
+
+      const options = new chrome.Options();
+      // Essential headless options
+      options.addArguments("--headless=new"); // Use the new headless mode
+      options.addArguments("--disable-gpu"); // Often needed for headless
+      options.addArguments("--window-size=1920,1080"); // Standard desktop size
+
+      // Performance and stability options
+      options.addArguments("--disable-dev-shm-usage"); // Crucial for Docker/Linux
+      options.addArguments("--no-sandbox"); // Often needed for Docker/Linux
+      options.addArguments("--disable-extensions");
+      options.addArguments("--disable-infobars"); // Deprecated but doesn't hurt
+      options.addArguments("--disable-popup-blocking");
+      options.addArguments("--disable-notifications");
+      // options.addArguments("--disable-features=IsolateOrigins,site-per-process"); // Can sometimes cause issues
+      // options.addArguments("--enable-features=NetworkService,NetworkServiceInProcess"); // May improve stability
+
+      // Anti-detection options
+      options.addArguments(
+        "--user-agent=Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36" // Realistic & recent user agent
+      );
+      options.addArguments("--disable-blink-features=AutomationControlled"); // Key flag
+      options.excludeSwitches("enable-automation"); // Another flag to disable
+      options.addArguments("--disable-features=UserAgentClientHint"); // Disable client hints that might reveal automation
+
+      // Preferences
+      const prefs = {
+        "profile.default_content_setting_values.notifications": 2, // 1:allow, 2:block
+        "profile.default_content_setting_values.geolocation": 2, // Block geolocation
+        "profile.default_content_setting_values.media_stream": 2, // Block camera/mic
+        "credentials_enable_service": false, // Disable password manager prompt
+        "profile.password_manager_enabled": false, // Disable password manager
+      };
+      options.setUserPreferences(prefs);
+
+      // Experimental options (use with caution)
+      // options.addArguments('--enable-logging'); // Enable more verbose logging from Chrome
+      // options.setChromeLogFile('./chromedriver.log');
+
+      const driver = await new Builder()
+        .forBrowser("chrome")
+        .setChromeOptions(options)
+        .build();
+
+      console.log("WebDriver created successfully");
+
+      // Set implicit wait (use cautiously, explicit waits are generally preferred)
+      // await driver.manage().setTimeouts({ implicit: 5000 }); // 5 seconds
+
+      // Execute script to further mask automation
+      try {
+        await driver.executeScript(`
+            Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
+            Object.defineProperty(navigator, 'languages', { get: () => ['en-US', 'en'] });
+            Object.defineProperty(navigator, 'plugins', { get: () => [1, 2, 3] }); // Simulate some plugins
+            // Ensure window.chrome exists before modifying
+            window.chrome = window.chrome || {};
+            window.chrome.runtime = window.chrome.runtime || {};
+            // Overwrite permissions API to further mask automation
+            if (navigator.permissions) {
+              const originalQuery = navigator.permissions.query;
+              navigator.permissions.query = (parameters) => (
+                parameters.name === 'notifications' ?
+                  Promise.resolve({ state: 'prompt' }) : // Denied or Prompt is common for notifications
+                  originalQuery(parameters)
+              );
+            }
+            // Add WebGL vendor/renderer spoofing if needed
+            // try {
+            //   const canvas = document.createElement('canvas');
+            //   const gl = canvas.getContext('webgl');
+            //   const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+            //   Object.defineProperty(gl, 'getParameter', {
+            //     value: (param) => {
+            //       if (param === debugInfo.UNMASKED_VENDOR_WEBGL) return 'Intel Inc.';
+            //       if (param === debugInfo.UNMASKED_RENDERER_WEBGL) return 'Intel Iris OpenGL Engine';
+            //       return gl.getParameter(param);
+            //     }
+            //   });
+            // } catch (e) {}
+          `);
+        console.log("Executed anti-detection scripts.");
+      } catch (scriptError) {
+        console.warn(`Failed to execute anti-detection scripts: ${scriptError.message}`);
+        // Continue execution even if scripts fail
+      }
+
+
+      return driver;
+    } catch (error) {
+      console.error(`WebDriver initialization failed: ${error.message}`);
+      retries++;
+      if (retries >= MAX_RETRIES) {
+        throw new Error(
+          `Failed to initialize WebDriver after ${MAX_RETRIES} attempts.`
+        );
+      }
+      console.log(`Retrying in ${SHORT_WAIT / 1000} seconds...`);
+      await new Promise((resolve) => setTimeout(resolve, SHORT_WAIT)); // Wait before retrying
+    }
+  }
+  // This line should technically be unreachable due to the throw in the loop
+  throw new Error("WebDriver initialization failed unexpectedly.");
+}
+
+/**
+ * Restores a saved session or logs in with the given credentials.
+ * Scraping continues without login when neither works.
+ * @param {import('selenium-webdriver').WebDriver} driver - The Selenium WebDriver instance.
+ * @param {{email: string, password: string, cookiesFile: string}} credentials - Login details.
+ * @returns {Promise<boolean>} - True if the session ends up logged in.
+ */
+async function establishSession(driver, { email, password, cookiesFile }) {
+  console.log("\n--- Login/Session Phase ---");
+  await driver.get(`${NAUKRI_BASE_URL}/`); // Start at the base domain
+  await driver.sleep(SLEEP_INTERVAL);
+
+  let isLoggedIn = false;
+  if (await tryRestoreCookies(driver, cookiesFile)) {
+    isLoggedIn = await checkIfLoggedIn(driver);
+    if (isLoggedIn) {
+      console.log("Successfully restored session using cookies.");
+    } else {
+      console.warn(
+        "Restored cookies, but login status check failed. Attempting manual login."
+      );
+      // Clear cookies if they didn't grant login status
+      await driver.manage().deleteAllCookies();
+    }
+  } else {
+    console.log("Could not restore session from cookies.");
+  }
+
+  // Attempt login if not already logged in and credentials are provided
+  if (!isLoggedIn && email && password) {
+    isLoggedIn = await loginToNaukri(driver, email, password);
+    if (isLoggedIn) {
+      await saveCookies(driver, cookiesFile); // Save cookies after successful login
+    } else {
+      console.warn(
+        "Login failed. Proceeding with scraping without login (results might be limited or blocked)."
+      );
+    }
+  } else if (!email || !password) {
+    console.log("Email/Password not provided. Proceeding without login.");
+  } else {
+    console.log("Already logged in (or session restored).");
+  }
+
+  return isLoggedIn;
+}
+
+module.exports = {
+  initializeDriver,
+  tryRestoreCookies,
+  saveCookies,
+  checkIfLoggedIn,
+  loginToNaukri,
+  establishSession,
+};
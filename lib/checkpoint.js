@@ -0,0 +1,97 @@
+const fs = require("fs");
+const { reviveJobDates } = require("./jobFields");
+const { writeFileAtomic } = require("./storage");
+
+// --- Checkpoints ---
+// After every results page the progress of a run (next page, counters and the jobs collected
+// so far, per search) is written to a checkpoint file, so an interrupted run can be resumed
+// with the resume option instead of starting over. The file is removed once a run completes.
+
+const CHECKPOINT_FORMAT = 1;
+
+/**
+ * Identifies a search, to check that a checkpoint belongs to the searches being run.
+ * @param {Object} search - Resolved search options.
+ * @returns {string}
+ */
+function searchSignature(search) {
+  return [search.query, search.location, search.experience].join("|");
+}
+
+/**
+ * Creates the progress record of a search that has not started.
+ * @param {Object} search - Resolved search options.
+ * @returns {{signature: string, nextPage: number, pagesScraped: number, internalCount: number,
+ *   externalCount: number, jobs: Object[], savedCount: number, notifiedCount: number, done: boolean}}
+ *   - savedCount is how many of the jobs have been written to storage, notifiedCount how many
+ *   of them have been sent to the notification channels.
+ */
+function createSearchProgress(search) {
+  return {
+    signature: searchSignature(search),
+    nextPage: 1,
+    pagesScraped: 0,
+    internalCount: 0,
+    externalCount: 0,
+    jobs: [],
+    savedCount: 0,
+    notifiedCount: 0,
+    done: false,
+  };
+}
+
+/**
+ * Loads the progress saved for the given searches.
+ * @param {string} file - Checkpoint file.
+ * @param {Object[]} searches - Resolved options of the searches being run.
+ * @returns {{savedAt: Date, searches: Object[]}|null} - Saved progress per search, or null if there is no checkpoint.
+ * @throws {Error} - If the file is unreadable or was written for different searches.
+ */
+function loadCheckpoint(file, searches) {
+  if (!fs.existsSync(file)) return null;
+  let checkpoint;
+  try {
+    checkpoint = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not load checkpoint ${file}: ${error.message}`);
+  }
+  if (checkpoint.format !== CHECKPOINT_FORMAT || !Array.isArray(checkpoint.searches)) {
+    throw new Error(`Checkpoint ${file} has an unknown format`);
+  }
+  const expected = searches.map(searchSignature);
+  const saved = checkpoint.searches.map(search => search.signature);
+  if (expected.join("\n") !== saved.join("\n")) {
+    throw new Error(`Checkpoint ${file} was written for different searches (${saved.join(", ")})`);
+  }
+  checkpoint.searches.forEach(search => search.jobs.forEach(reviveJobDates));
+  return { savedAt: new Date(checkpoint.savedAt), searches: checkpoint.searches };
+}
+
+/**
+ * Writes the progress of all searches. The file is written to a temporary name and renamed,
+ * so a crash while saving leaves the previous checkpoint intact.
+ * @param {string} file - Checkpoint file.
+ * @param {Object[]} progress - Progress record per search.
+ */
+function saveCheckpoint(file, progress) {
+  writeFileAtomic(
+    file,
+    JSON.stringify({ format: CHECKPOINT_FORMAT, savedAt: new Date(), searches: progress }, null, 2)
+  );
+}
+
+/**
+ * Removes a checkpoint once its run has completed.
+ * @param {string} file - Checkpoint file.
+ */
+function clearCheckpoint(file) {
+  if (fs.existsSync(file)) fs.unlinkSync(file);
+}
+
+module.exports = {
+  searchSignature,
+  createSearchProgress,
+  loadCheckpoint,
+  saveCheckpoint,
+  clearCheckpoint,
+};
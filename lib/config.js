@@ -0,0 +1,213 @@
+const fs = require("fs");
+
+// --- Shared Configuration ---
+// Timing constants and option handling used by every scraper entry point.
+
+const MAX_RETRIES = 3; // Retries for driver initialization
+const WAIT_TIMEOUT = 25000; // Slightly increased wait timeout (milliseconds)
+const SHORT_WAIT = 7000; // Slightly increased short wait
+const SLEEP_INTERVAL = 2000; // Standard sleep interval
+const LONG_SLEEP_INTERVAL = 5000; // Longer sleep for page loads/logins
+
+const NAUKRI_BASE_URL = "https://www.naukri.com";
+const DEFAULT_COOKIES_FILE = "./naukri_cookies.json";
+
+/**
+ * Default options for a scrape run. Every key can be overridden by the caller.
+ */
+const DEFAULT_OPTIONS = {
+  query: "Data Analyst",
+  location: "Bangalore",
+  experience: "0",
+  internalLimit: 15,
+  externalLimit: 5,
+  maxPages: 2,
+  detailConcurrency: 3, // Job details pages loaded in parallel tabs
+  detailDelayMs: 1000, // Politeness delay between opening two details pages
+  email: "",
+  password: "",
+  cookiesFile: DEFAULT_COOKIES_FILE,
+  selectorsFile: null, // Selector registry, null for the bundled config/selectors.json
+  selectorOverridesFile: null, // Optional per-field selector overrides
+  checkpointFile: null, // Progress file written after every page, null to disable checkpoints
+  resume: false, // Continue from checkpointFile instead of starting over
+  notifications: null, // { smtp, channels } from loadNotificationsConfig, to announce new jobs after a run
+  signal: null, // AbortSignal; aborting it stops the run early, which then saves what it has
+  refresh: {
+    limit: 50, // Known jobs to revisit per refresh run
+    staleAfterHours: 24, // Only revisit jobs not seen for this long
+  },
+  storage: {
+    type: null, // Job store: "mongodb", "json", "ndjson", "sqlite" or "csv"; null for "mongodb" when mongo is set
+    file: null, // File of the json/ndjson/sqlite/csv store, null for ./data/naukri_jobs.<type>
+    mongo: null, // { uri, dbName, collection, statsCollection?, historyCollection?, runsCollection? } to persist into MongoDB
+    outputFile: null, // Path of the JSON backup file, null to skip it
+    runStatsFile: null, // Selector run stats file, used when MongoDB is not configured
+  },
+};
+
+// Options a single search in a batch may set; everything else is shared by the batch
+const SEARCH_OPTION_KEYS = ["query", "location", "experience", "internalLimit", "externalLimit", "maxPages"];
+
+// Scheduling settings of a search in a searches file, used by the scheduler
+const SCHEDULE_DEFAULTS = {
+  schedule: null, // Cron expression, see lib/cron.js; searches without one are not scheduled
+  jitterMinutes: 0, // Random delay of up to this many minutes added to every start
+  timeoutMinutes: 180, // A run taking longer is stopped, 0 to let it run
+};
+
+/**
+ * Parses "--key value" style command line arguments into an object.
+ * @param {string[]} argv - Arguments without the node binary and script path.
+ * @returns {Object<string, string>} - Map of argument names to values.
+ */
+function parseArgs(argv) {
+  const params = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    if (argv[i].startsWith("--") && i + 1 < argv.length) {
+      // Simple parsing, assumes "--key value" format
+      params[argv[i].substring(2)] = argv[i + 1];
+    }
+  }
+  return params;
+}
+
+/**
+ * Makes a string safe to embed in file names.
+ * @param {string} value
+ * @returns {string}
+ */
+function sanitizeForFilename(value) {
+  return String(value).replace(/[^a-z0-9]/gi, "_").toLowerCase();
+}
+
+/**
+ * Merges caller options with the defaults and normalizes numeric limits.
+ * @param {Object} options - Partial options object.
+ * @returns {Object} - Fully populated options object.
+ */
+function resolveOptions(options = {}) {
+  const storage = { ...DEFAULT_OPTIONS.storage, ...(options.storage || {}) };
+  const refresh = { ...DEFAULT_OPTIONS.refresh, ...(options.refresh || {}) };
+  const resolved = { ...DEFAULT_OPTIONS, ...options, storage, refresh };
+  storage.type = storage.type || (storage.mongo ? "mongodb" : null);
+  resolved.experience = String(resolved.experience ?? "");
+  resolved.resume = resolved.resume === true || resolved.resume === "true";
+  resolved.internalLimit = parseInt(resolved.internalLimit, 10);
+  resolved.externalLimit = parseInt(resolved.externalLimit, 10);
+  resolved.maxPages = parseInt(resolved.maxPages, 10);
+  resolved.detailConcurrency = Math.max(1, parseInt(resolved.detailConcurrency, 10) || 1);
+  resolved.detailDelayMs = Math.max(0, parseInt(resolved.detailDelayMs, 10) || 0);
+  refresh.limit = parseInt(refresh.limit, 10);
+  refresh.staleAfterHours = parseFloat(refresh.staleAfterHours);
+  return resolved;
+}
+
+/**
+ * Returns the per-search options of a search definition, dropping anything else.
+ * @param {Object} search - Search definition.
+ * @returns {Object}
+ */
+function pickSearchOptions(search) {
+  const picked = {};
+  for (const key of SEARCH_OPTION_KEYS) {
+    if (search[key] !== undefined && search[key] !== null) picked[key] = search[key];
+  }
+  return picked;
+}
+
+/**
+ * Reads a searches file: either an array of searches or { defaults, searches }.
+ * @param {string} file - Path of the JSON file.
+ * @returns {{defaults: Object, searches: Object[]}} - Raw search definitions, not merged yet.
+ * @throws {Error} - If the file cannot be read or lists no searches.
+ */
+function readSearchesFile(file) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not load searches file ${file}: ${error.message}`);
+  }
+  const searches = Array.isArray(parsed) ? parsed : parsed.searches;
+  const defaults = Array.isArray(parsed) ? {} : parsed.defaults || {};
+  if (!Array.isArray(searches) || searches.length === 0) {
+    throw new Error(`Searches file ${file} must list at least one search`);
+  }
+  return { defaults, searches };
+}
+
+/**
+ * Loads a searches file for batch mode. The file is either an array of searches or
+ * { defaults, searches }, where defaults apply to every search that does not set a value:
+ *
+ *   {
+ *     "defaults": { "maxPages": 2, "internalLimit": 10, "externalLimit": 5 },
+ *     "searches": [
+ *       { "query": "Data Analyst", "location": "Bangalore", "experience": "0" },
+ *       { "query": "Frontend Developer", "location": "Pune", "maxPages": 3 }
+ *     ]
+ *   }
+ *
+ * @param {string} file - Path of the JSON file.
+ * @returns {Object[]} - Searches with defaults applied, see SEARCH_OPTION_KEYS.
+ * @throws {Error} - If the file cannot be read, lists no searches or a search has no query.
+ */
+function loadSearchesFile(file) {
+  const { defaults, searches } = readSearchesFile(file);
+  return searches.map((search, index) => {
+    const merged = { ...pickSearchOptions(defaults), ...pickSearchOptions(search) };
+    if (!merged.query) {
+      throw new Error(`Searches file ${file}: search ${index + 1} has no query`);
+    }
+    return merged;
+  });
+}
+
+/**
+ * Loads the schedules of the scheduler from a searches file. Besides its search options,
+ * every search (or the defaults) sets a cron expression in "schedule", and may set
+ * "jitterMinutes" (random delay added to every start) and "timeoutMinutes" (runs taking
+ * longer are stopped). Searches without a schedule are not scheduled.
+ * @param {string} file - Path of the JSON file.
+ * @returns {{search: Object, schedule: string, jitterMinutes: number, timeoutMinutes: number}[]}
+ * @throws {Error} - As loadSearchesFile, or if no search has a schedule.
+ */
+function loadSchedulesFile(file) {
+  const { defaults, searches } = readSearchesFile(file);
+  const resolvedSearches = loadSearchesFile(file);
+  const schedules = [];
+  searches.forEach((search, index) => {
+    const merged = { ...SCHEDULE_DEFAULTS, ...defaults, ...search };
+    if (!merged.schedule) return;
+    schedules.push({
+      search: resolvedSearches[index],
+      schedule: String(merged.schedule),
+      jitterMinutes: Math.max(0, parseFloat(merged.jitterMinutes) || 0),
+      timeoutMinutes: Math.max(0, parseFloat(merged.timeoutMinutes) || 0),
+    });
+  });
+  if (schedules.length === 0) {
+    throw new Error(`Searches file ${file}: no search has a "schedule" cron expression`);
+  }
+  return schedules;
+}
+
+module.exports = {
+  MAX_RETRIES,
+  WAIT_TIMEOUT,
+  SHORT_WAIT,
+  SLEEP_INTERVAL,
+  LONG_SLEEP_INTERVAL,
+  NAUKRI_BASE_URL,
+  DEFAULT_COOKIES_FILE,
+  DEFAULT_OPTIONS,
+  SEARCH_OPTION_KEYS,
+  SCHEDULE_DEFAULTS,
+  parseArgs,
+  sanitizeForFilename,
+  resolveOptions,
+  pickSearchOptions,
+  loadSearchesFile,
+  loadSchedulesFile,
+};
@@ -0,0 +1,151 @@
+// --- Cron Expressions ---
+// Five-field cron expressions ("minute hour day-of-month month day-of-week") as in crontab,
+// evaluated in local time. Fields take "*", numbers, ranges ("1-5"), steps ("*/15", "8-18/2"),
+// lists ("1,15") and, for months and weekdays, names ("jan", "mon-fri"). The macros @hourly,
+// @daily, @weekly and @monthly are accepted too.
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] },
+  { name: "day of week", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] }, // 0 and 7 are Sunday
+];
+
+const CRON_MACROS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+// Longest search for the next matching minute; leap days repeat at least every 8 years
+const MAX_SEARCH_MINUTES = 8 * 366 * 24 * 60;
+
+/**
+ * Parses one value of a field, a number or a month/weekday name.
+ * @param {string} value
+ * @param {Object} field - Entry of CRON_FIELDS.
+ * @param {string} expression - Whole expression, for error messages.
+ * @returns {number}
+ */
+function parseFieldValue(value, field, expression) {
+  const nameIndex = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+  const number = nameIndex >= 0 ? nameIndex + (field.name === "month" ? 1 : 0) : Number(value);
+  if (!/^\d+$/.test(value) && nameIndex < 0) {
+    throw new Error(`Invalid ${field.name} "${value}" in cron expression "${expression}"`);
+  }
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} ${value} out of range ${field.min}-${field.max} in cron expression "${expression}"`);
+  }
+  return number;
+}
+
+/**
+ * Expands one field into the set of values it matches.
+ * @param {string} text - Field text, e.g. "*\/15" or "mon-fri".
+ * @param {Object} field - Entry of CRON_FIELDS.
+ * @param {string} expression - Whole expression, for error messages.
+ * @returns {Set<number>}
+ */
+function parseField(text, field, expression) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" in cron expression "${expression}"`);
+    }
+    let from = field.min;
+    let to = field.max;
+    if (range !== "*") {
+      const bounds = range.split("-");
+      if (bounds.length > 2) throw new Error(`Invalid range "${range}" in cron expression "${expression}"`);
+      from = parseFieldValue(bounds[0], field, expression);
+      // "5/10" means 5, 15, 25, ... like "5-59/10"
+      to = bounds.length === 2 ? parseFieldValue(bounds[1], field, expression) : stepText === undefined ? from : field.max;
+      if (from > to) throw new Error(`Invalid range "${range}" in cron expression "${expression}"`);
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Parses a cron expression.
+ * @param {string} expression - e.g. "30 9 * * mon-fri" or "@daily".
+ * @returns {{expression: string, minutes: Set<number>, hours: Set<number>, daysOfMonth: Set<number>,
+ *   months: Set<number>, daysOfWeek: Set<number>, anyDayOfMonth: boolean, anyDayOfWeek: boolean}}
+ * @throws {Error} - If the expression is malformed.
+ */
+function parseCron(expression) {
+  const text = String(expression || "").trim();
+  const fields = (CRON_MACROS[text.toLowerCase()] || text).split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) {
+    throw new Error(`Cron expression "${text}" must have 5 fields: minute hour day-of-month month day-of-week`);
+  }
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, i) => parseField(field, CRON_FIELDS[i], text));
+  if (daysOfWeek.delete(7)) daysOfWeek.add(0);
+  return {
+    expression: text,
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: fields[2] === "*",
+    anyDayOfWeek: fields[4] === "*",
+  };
+}
+
+/**
+ * Checks whether a day matches. As in crontab, when both day fields are restricted a day
+ * matching either of them is enough.
+ * @param {Object} cron - From parseCron.
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function matchesDay(cron, date) {
+  const dayOfMonth = cron.daysOfMonth.has(date.getDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getDay());
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) return dayOfMonth && dayOfWeek;
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Finds the first time after a given time that matches a cron expression.
+ * @param {Object|string} cron - From parseCron, or an expression.
+ * @param {Date} [after] - Start of the search, exclusive.
+ * @returns {Date}
+ * @throws {Error} - If no time matches, e.g. "0 0 31 2 *".
+ */
+function nextCronTime(cron, after = new Date()) {
+  const parsed = typeof cron === "string" ? parseCron(cron) : cron;
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  for (let checked = 0; checked < MAX_SEARCH_MINUTES; checked++) {
+    if (!parsed.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(parsed, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!parsed.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!parsed.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  throw new Error(`Cron expression "${parsed.expression}" never matches`);
+}
+
+module.exports = {
+  CRON_MACROS,
+  parseCron,
+  nextCronTime,
+};
@@ -0,0 +1,85 @@
+// --- CSV ---
+// Minimal RFC 4180 reading and writing: fields holding commas, quotes or line breaks
+// (job descriptions often span lines) are quoted, quotes are doubled.
+
+/**
+ * Quotes a CSV field when needed.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeCsvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats rows as CSV text with a header line.
+ * @param {string[]} columns - Column names, in order.
+ * @param {Object[]} rows - Objects mapping column names to string values; missing values are left empty.
+ * @returns {string}
+ */
+function formatCsv(columns, rows) {
+  const lines = [columns.map(escapeCsvField).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCsvField(row[column])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * Parses CSV text whose first line is the header.
+ * @param {string} text
+ * @returns {{columns: string[], rows: Object[]}} - rows map column names to string values.
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [columns = [], ...dataRecords] = records;
+  const rows = dataRecords.map(values => {
+    const row = {};
+    columns.forEach((column, index) => {
+      row[column] = values[index] ?? "";
+    });
+    return row;
+  });
+  return { columns, rows };
+}
+
+module.exports = {
+  escapeCsvField,
+  formatCsv,
+  parseCsv,
+};
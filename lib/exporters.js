@@ -0,0 +1,183 @@
+const { formatCsv } = require("./csv");
+const { writeFileAtomic } = require("./storage");
+
+// --- Job Exports ---
+// Writes query results as JSON, NDJSON, CSV, XLSX, a Markdown table or a terminal table.
+// JSON and NDJSON keep whole records unless columns are picked; the tabular formats show
+// DEFAULT_COLUMNS. Multi-line values such as "Job Description" are quoted in CSV, kept as
+// wrapped cells in XLSX, escaped in JSON and flattened to one line in the tables. Scraped text
+// that a spreadsheet would read as a formula gets a leading apostrophe in CSV and XLSX.
+
+const EXPORT_FORMATS = ["json", "ndjson", "csv", "xlsx", "markdown", "table"];
+
+// File extension per format; "table" prints to the terminal
+const FORMAT_EXTENSIONS = { json: "json", ndjson: "ndjson", csv: "csv", xlsx: "xlsx", markdown: "md" };
+
+const DEFAULT_COLUMNS = [
+  "Job Title",
+  "Company Name",
+  "Location",
+  "Experience Required",
+  "Salary",
+  "Application Type",
+  "Posted",
+  "Scraped Date",
+  "Job URL",
+];
+
+const TABLE_CELL_WIDTH = 40; // Characters per terminal table cell before truncation
+
+/**
+ * Turns a field value into text for a table cell.
+ * @param {*} value
+ * @returns {string}
+ */
+function cellText(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(cellText).join(", ");
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Turns a field value into text for a spreadsheet cell. Text starting with "=", "+", "-", "@"
+ * or a tab or carriage return is prefixed with "'", so spreadsheets show it instead of
+ * running it as a formula; numbers are left alone.
+ * @param {*} value
+ * @returns {string}
+ */
+function spreadsheetText(value) {
+  const text = cellText(value);
+  return typeof value !== "number" && /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+}
+
+/**
+ * Keeps only the given fields of each job, in the given order.
+ * @param {Object[]} jobs
+ * @param {string[]} columns
+ * @returns {Object[]}
+ */
+function selectColumns(jobs, columns) {
+  return jobs.map(job => {
+    const picked = {};
+    for (const column of columns) picked[column] = job[column] ?? null;
+    return picked;
+  });
+}
+
+/**
+ * Formats jobs as a Markdown table. Pipes are escaped and line breaks become <br>.
+ * @param {Object[]} jobs
+ * @param {string[]} columns
+ * @returns {string}
+ */
+function formatMarkdownTable(jobs, columns) {
+  const escape = text => text.replace(/\\/g, "\\\\").replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>");
+  const lines = [
+    `| ${columns.map(escape).join(" | ")} |`,
+    `| ${columns.map(() => "---").join(" | ")} |`,
+    ...jobs.map(job => `| ${columns.map(column => escape(cellText(job[column]))).join(" | ")} |`),
+  ];
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Formats jobs as a fixed-width text table for the terminal. Whitespace is collapsed and
+ * long values are cut to TABLE_CELL_WIDTH characters.
+ * @param {Object[]} jobs
+ * @param {string[]} columns
+ * @returns {string}
+ */
+function formatTerminalTable(jobs, columns) {
+  const fit = text => {
+    const flat = text.replace(/\s+/g, " ").trim();
+    return flat.length > TABLE_CELL_WIDTH ? `${flat.substring(0, TABLE_CELL_WIDTH - 3)}...` : flat;
+  };
+  const rows = jobs.map(job => columns.map(column => fit(cellText(job[column]))));
+  const widths = columns.map((column, index) => Math.max(fit(column).length, ...rows.map(row => row[index].length)));
+  const line = cells => cells.map((cell, index) => cell.padEnd(widths[index])).join(" | ");
+  return [
+    line(columns.map(fit)),
+    widths.map(width => "-".repeat(width)).join("-+-"),
+    ...rows.map(line),
+  ].join("\n");
+}
+
+/**
+ * Writes jobs to an XLSX workbook with one "Jobs" sheet. Dates stay dates, long text wraps.
+ * @param {string} file
+ * @param {Object[]} jobs
+ * @param {string[]} columns
+ * @returns {Promise<void>}
+ */
+async function writeXlsx(file, jobs, columns) {
+  // Loaded on demand, only this format needs it
+  const ExcelJS = require("exceljs");
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Jobs", { views: [{ state: "frozen", ySplit: 1 }] });
+  sheet.columns = columns.map(column => (column === "Job Description"
+    ? { header: column, key: column, width: 80, style: { alignment: { wrapText: true, vertical: "top" } } }
+    : { header: column, key: column, width: Math.min(50, Math.max(12, column.length + 2)) }));
+  sheet.getRow(1).font = { bold: true };
+  for (const job of jobs) {
+    const row = {};
+    for (const column of columns) {
+      const value = job[column];
+      row[column] = value instanceof Date || typeof value === "number" || typeof value === "boolean" ? value : spreadsheetText(value);
+    }
+    sheet.addRow(row);
+  }
+  writeFileAtomic(file, Buffer.from(await workbook.xlsx.writeBuffer()));
+}
+
+/**
+ * Exports jobs in the given format. "table" prints to the console, every other format
+ * writes the file.
+ * @param {Object[]} jobs - Jobs to export.
+ * @param {Object} options
+ * @param {string} options.format - One of EXPORT_FORMATS.
+ * @param {string|null} options.file - Destination file; ignored for "table".
+ * @param {string[]|null} [options.columns] - Fields to export, in order; null for the format's default.
+ * @returns {Promise<void>}
+ * @throws {Error} - If the format is unknown.
+ */
+async function exportJobs(jobs, { format, file, columns = null }) {
+  const tableColumns = columns || DEFAULT_COLUMNS;
+  switch (format) {
+    case "json":
+      writeFileAtomic(file, JSON.stringify(columns ? selectColumns(jobs, columns) : jobs, null, 2));
+      break;
+    case "ndjson":
+      writeFileAtomic(file, (columns ? selectColumns(jobs, columns) : jobs).map(job => `${JSON.stringify(job)}\n`).join(""));
+      break;
+    case "csv": {
+      const rows = jobs.map(job => Object.fromEntries(tableColumns.map(column => [column, spreadsheetText(job[column])])));
+      writeFileAtomic(file, formatCsv(tableColumns, rows));
+      break;
+    }
+    case "xlsx":
+      await writeXlsx(file, jobs, tableColumns);
+      break;
+    case "markdown":
+      writeFileAtomic(file, formatMarkdownTable(jobs, tableColumns));
+      break;
+    case "table":
+      console.log(formatTerminalTable(jobs, tableColumns));
+      break;
+    default:
+      throw new Error(`Unknown export format "${format}", expected one of: ${EXPORT_FORMATS.join(", ")}`);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  FORMAT_EXTENSIONS,
+  DEFAULT_COLUMNS,
+  cellText,
+  spreadsheetText,
+  selectColumns,
+  formatMarkdownTable,
+  formatTerminalTable,
+  exportJobs,
+};
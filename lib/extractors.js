@@ -0,0 +1,247 @@
+const cheerio = require("cheerio");
+const { NAUKRI_BASE_URL } = require("./config");
+const { loadSelectors } = require("./selectors");
+const { parseJobId } = require("./parsers");
+
+// --- HTML Extractors ---
+// Pure functions over raw HTML so field lookups can be checked offline against saved pages.
+// The live scraper feeds them `outerHTML` from job cards and the page source of detail pages.
+
+// Elements that start a new line in rendered text, mirroring what WebElement.getText() returns
+const BLOCK_ELEMENTS = "p, div, li, ul, ol, section, article, h1, h2, h3, h4, h5, h6, tr, table, header, footer";
+
+/**
+ * Returns the rendered-style text of an element: block elements and <br> become line breaks,
+ * runs of spaces collapse, each line is trimmed and blank lines are dropped.
+ * @param {import('cheerio').CheerioAPI} $ - Loaded document.
+ * @param {import('cheerio').Cheerio<any>} element - Element to read.
+ * @returns {string} - The normalized text, or an empty string.
+ */
+function renderText($, element) {
+  const clone = element.clone();
+  clone.find("script, style").remove();
+  clone.find("br").replaceWith("\n");
+  clone.find(BLOCK_ELEMENTS).each((_, el) => {
+    $(el).prepend("\n").append("\n");
+  });
+  return clone
+    .text()
+    .split("\n")
+    .map(line => line.replace(/[^\S\n]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{2,}/g, "\n")
+    .trim();
+}
+
+/**
+ * Returns the text of the first element matched by the first selector that yields non-empty text.
+ * @param {import('cheerio').CheerioAPI} $ - Loaded document.
+ * @param {string[]} selectors - Fallback selector chain.
+ * @param {(text: string) => boolean} [accept] - Extra check a value must pass.
+ * @returns {{value: string|null, selector: string|null}} - The text and the selector that matched, both null when none did.
+ */
+function firstText($, selectors, accept = () => true) {
+  for (const selector of selectors) {
+    const text = renderText($, $(selector).first());
+    if (text && accept(text)) return { value: text, selector };
+  }
+  return { value: null, selector: null };
+}
+
+/**
+ * Returns the texts of all elements matched by the first selector that yields at least one.
+ * @param {import('cheerio').CheerioAPI} $ - Loaded document.
+ * @param {string[]} selectors - Fallback selector chain.
+ * @returns {{values: string[], selector: string|null}} - The non-empty texts and the selector that matched.
+ */
+function allTexts($, selectors) {
+  for (const selector of selectors) {
+    const texts = $(selector).toArray().map(el => renderText($, $(el))).filter(Boolean);
+    if (texts.length > 0) return { values: texts, selector };
+  }
+  return { values: [], selector: null };
+}
+
+/**
+ * Returns the attribute value of the first element matched by the first selector that has one.
+ * Each selector is an attribute selector such as "[data-job-id]", and the attribute it names is read.
+ * @param {import('cheerio').CheerioAPI} $ - Loaded document.
+ * @param {string[]} selectors - Fallback selector chain.
+ * @returns {{value: string|null, selector: string|null}} - The trimmed value and the selector that matched, both null when none did.
+ */
+function firstAttribute($, selectors) {
+  for (const selector of selectors) {
+    const attribute = selector.match(/\[\s*([\w-]+)/);
+    const value = attribute ? ($(selector).first().attr(attribute[1]) || "").trim() : "";
+    if (value) return { value, selector };
+  }
+  return { value: null, selector: null };
+}
+
+/**
+ * Resolves a possibly relative link against the Naukri base URL.
+ * @param {string|undefined} href - Raw href attribute.
+ * @param {string} baseUrl - Base to resolve against.
+ * @returns {string|null} - Absolute http(s) URL, or null if the href is missing, invalid or
+ *   uses another scheme such as "javascript:".
+ */
+function resolveUrl(href, baseUrl) {
+  if (!href || !href.trim()) return null;
+  try {
+    const url = new URL(href.trim(), baseUrl);
+    return url.protocol === "http:" || url.protocol === "https:" ? url.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Extracts the fields shown on a search result card.
+ * `matchedSelectors` names the selector that produced each field, or null where the field fell back to its default.
+ * @param {string} cardHtml - The card's outerHTML.
+ * @param {Object} [options]
+ * @param {string} [options.defaultLocation] - Location to use when the card has none.
+ * @param {string} [options.baseUrl] - Base for resolving relative job links.
+ * @param {Object} [options.selectors] - The registry's "card" group, defaults to the bundled registry.
+ * @returns {{jobTitle: string, jobUrl: string|null, jobId: string|null, companyName: string, location: string,
+ *   experience: string, salary: string, skills: string, skillsList: string[], jobDescription: string, posted: string|null,
+ *   matchedSelectors: Object<string, string|null>}}
+ */
+function extractJobCard(cardHtml, {
+  defaultLocation = "Not available",
+  baseUrl = NAUKRI_BASE_URL,
+  selectors = loadSelectors().card,
+} = {}) {
+  const $ = cheerio.load(cardHtml || "");
+
+  // Job Title & URL - keep the first title text, stop at the first link with an href
+  let jobTitle = "Not available";
+  let jobUrl = null;
+  let titleSelector = null;
+  for (const selector of selectors.title) {
+    const titleElement = $(selector).first();
+    if (titleElement.length === 0) continue;
+    if (jobTitle === "Not available") jobTitle = renderText($, titleElement) || jobTitle;
+    jobUrl = resolveUrl(titleElement.attr("href"), baseUrl);
+    if (jobUrl) {
+      titleSelector = selector;
+      break;
+    }
+  }
+
+  // Naukri puts the job ID on the card wrapper; the URL is the fallback
+  const cardJobId = firstAttribute($, selectors.jobId || []); // Missing from registries older than 2025.06.3
+
+  const company = firstText($, selectors.company);
+  // Use extracted location only if it's valid, fallback to the search location
+  const location = firstText($, selectors.location, text => text.toLowerCase() !== "not available");
+  const experience = firstText($, selectors.experience);
+  const salary = firstText($, selectors.salary);
+  const skills = allTexts($, selectors.skills);
+  const description = firstText($, selectors.description);
+  const posted = firstText($, selectors.posted || []); // Missing from registries older than 2025.06.1
+
+  return {
+    jobTitle,
+    jobUrl,
+    jobId: cardJobId.value || parseJobId(jobUrl),
+    companyName: company.value || "Not available",
+    location: location.value || defaultLocation,
+    experience: experience.value || "Not specified",
+    salary: salary.value || "Not disclosed",
+    skills: skills.values.length > 0 ? skills.values.join(", ") : "Not available",
+    skillsList: skills.values,
+    jobDescription: description.value || "Not available",
+    posted: posted.value,
+    matchedSelectors: {
+      title: titleSelector,
+      company: company.selector,
+      location: location.selector,
+      experience: experience.selector,
+      salary: salary.selector,
+      skills: skills.selector,
+      description: description.selector,
+      posted: posted.selector,
+      jobId: cardJobId.selector,
+    },
+  };
+}
+
+// Labels of the "Posted: 3 days ago | Openings: 2 | Applicants: 100+" line on details pages
+const STAT_LABELS = {
+  posted: /^posted/i,
+  openings: /^openings?/i,
+  applicants: /^applicants?/i,
+};
+
+/**
+ * Splits the details page stat line into its labelled values.
+ * @param {string[]} statTexts - Rendered stat elements, e.g. "Posted: 3 days ago".
+ * @returns {{posted: string|null, openings: string|null, applicants: string|null}}
+ */
+function parseStatTexts(statTexts) {
+  const stats = { posted: null, openings: null, applicants: null };
+  for (const text of statTexts) {
+    const match = text.match(/^([^:]+):\s*([\s\S]+)$/);
+    if (!match) continue;
+    const label = match[1].trim();
+    for (const [key, pattern] of Object.entries(STAT_LABELS)) {
+      if (pattern.test(label)) stats[key] = match[2].replace(/\s+/g, " ").trim();
+    }
+  }
+  return stats;
+}
+
+/**
+ * Extracts the full description, key skills and posting stats from a job details page.
+ * @param {string} pageHtml - The details page source.
+ * @param {Object} [selectors] - The registry's "detail" group, defaults to the bundled registry.
+ * @returns {{jobDescription: string|null, skills: string|null, skillsList: string[],
+ *   posted: string|null, openings: string|null, applicants: string|null,
+ *   matchedSelectors: Object<string, string|null>}} - Null/empty values when the page has no matching element.
+ */
+function extractJobDetails(pageHtml, selectors = loadSelectors().detail) {
+  const $ = cheerio.load(pageHtml || "");
+  const description = firstText($, selectors.description);
+  const skills = allTexts($, selectors.skills);
+  const stats = allTexts($, selectors.stats || []); // Missing from registries older than 2025.06.1
+  return {
+    jobDescription: description.value,
+    skills: skills.values.length > 0 ? skills.values.join(", ") : null,
+    skillsList: skills.values,
+    ...parseStatTexts(stats.values),
+    matchedSelectors: {
+      description: description.selector,
+      skills: skills.selector,
+      stats: stats.selector,
+    },
+  };
+}
+
+// Page text Naukri shows on closed postings and on listings that no longer exist
+const EXPIRED_TEXT = /no longer accepting applications|job (?:has )?expired|this job is no longer available/i;
+const REMOVED_TEXT = /page not found|job (?:does not exist|not found)|this job has been (?:removed|deleted)/i;
+
+/**
+ * Decides from a details page whether the posting is still open.
+ * Returns null when the page shows neither a description nor a closed-posting notice,
+ * e.g. a half-loaded page, so callers can leave the stored status alone.
+ * @param {string} pageHtml - The details page source.
+ * @param {Object} [selectors] - The registry's "detail" group, defaults to the bundled registry.
+ * @returns {"active"|"expired"|"removed"|null}
+ */
+function detectJobStatus(pageHtml, selectors = loadSelectors().detail) {
+  const $ = cheerio.load(pageHtml || "");
+  const bodyText = renderText($, $("body"));
+  if (firstText($, selectors.expired || []).value || EXPIRED_TEXT.test(bodyText)) return "expired";
+  if (firstText($, selectors.description).value) return "active";
+  if (REMOVED_TEXT.test(bodyText)) return "removed";
+  return null;
+}
+
+module.exports = {
+  extractJobCard,
+  extractJobDetails,
+  detectJobStatus,
+  renderText,
+};
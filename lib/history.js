@@ -0,0 +1,116 @@
+const { jobKey, jobKeyFilter } = require("./jobFields");
+
+// --- Job Change History ---
+// When a stored job is written again with different values, the old and new values of each
+// changed field are kept as a numbered version in a separate collection, so edits to a
+// posting's salary, experience or description are not lost.
+
+const DEFAULT_HISTORY_COLLECTION = "job_history";
+
+// Displayed fields whose changes are recorded. Volatile values (applicant counts, posting age)
+// and bookkeeping fields are left out.
+const TRACKED_FIELDS = [
+  "Job Title",
+  "Company Name",
+  "Location",
+  "Experience Required",
+  "Salary",
+  "Application Type",
+  "Skills",
+  "Job Description",
+  "Openings",
+  "status",
+];
+
+/**
+ * Compares two values for change tracking; dates by time, everything else by JSON.
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function sameValue(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Lists the tracked fields whose value differs between two versions of a job.
+ * Fields missing from either version are not changes: updates may be partial, and
+ * documents stored before a field existed gain it without anything being edited.
+ * @param {Object} before - Stored job.
+ * @param {Object} after - New values for the job.
+ * @returns {{field: string, from: *, to: *}[]}
+ */
+function diffJobFields(before, after) {
+  const changes = [];
+  for (const field of TRACKED_FIELDS) {
+    if (!(field in after) || !(field in before)) continue;
+    if (!sameValue(before[field], after[field])) {
+      changes.push({ field, from: before[field] ?? null, to: after[field] ?? null });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Records the changes between a stored job and its new values as the job's next version.
+ * @param {import('mongodb').Collection} historyCollection
+ * @param {Object} before - Stored job.
+ * @param {Object} after - New values for the job.
+ * @param {Date} [changedAt] - When the change was observed.
+ * @returns {Promise<Object|null>} - The history entry, or null when nothing tracked changed.
+ */
+async function recordJobChanges(historyCollection, before, after, changedAt = new Date()) {
+  const changes = diffJobFields(before, after);
+  if (changes.length === 0) return null;
+
+  const key = jobKeyFilter({ ...before, ...after });
+  const previousVersions = await historyCollection.countDocuments(key);
+  const entry = {
+    ...key,
+    "Job URL": after["Job URL"] || before["Job URL"],
+    version: previousVersions + 1,
+    changedAt,
+    changes,
+  };
+  await historyCollection.insertOne(entry);
+  console.log(`  Recorded ${changes.length} changed field(s) for ${jobKey(entry)} as version ${entry.version}.`);
+  return entry;
+}
+
+/**
+ * Loads a job's history entries, oldest first.
+ * @param {import('mongodb').Collection} historyCollection
+ * @param {string} jobId - Naukri job ID (or URL for jobs without one).
+ * @returns {Promise<Object[]>}
+ */
+async function loadJobHistory(historyCollection, jobId) {
+  return historyCollection
+    .find({ $or: [{ jobId }, { "Job URL": jobId }] })
+    .sort({ version: 1 })
+    .toArray();
+}
+
+/**
+ * Creates the index used to look up a job's history.
+ * @param {import('mongodb').Collection} historyCollection
+ * @returns {Promise<void>}
+ */
+async function ensureHistoryIndexes(historyCollection) {
+  try {
+    await historyCollection.createIndex({ jobId: 1, version: 1 });
+  } catch (indexError) {
+    console.warn(`Could not create index on job history: ${indexError.message}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_HISTORY_COLLECTION,
+  TRACKED_FIELDS,
+  diffJobFields,
+  recordJobChanges,
+  loadJobHistory,
+  ensureHistoryIndexes,
+};
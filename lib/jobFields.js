@@ -0,0 +1,71 @@
+const { parseJobId, parseExperience, parseSalary, parsePostedDate, parseCount } = require("./parsers");
+const { normalizeLocation } = require("./location");
+const { normalizeSkills } = require("./skills");
+
+// Job fields stored as Dates, which JSON, CSV and SQLite turn into strings
+const DATE_FIELDS = ["Scraped Date", "lastSeen", "closedAt", "postedAt", "postedReadAt", "lastChecked", "lastUpdated", "firstScraped"];
+
+// --- Derived Job Fields ---
+// Structured fields computed from a job's displayed values. The scraper stores them on every
+// new job and backfill_jobs.js recomputes them for documents already in the collection.
+
+/**
+ * Computes the structured fields for a job record.
+ * Relative posting ages are resolved against "Scraped Date", the time they were read.
+ * @param {Object} job - Job record with the displayed fields ("Job URL", "Experience Required", "Salary",
+ *   "Location", "Skills", "Posted", "Openings", "Applicants").
+ * @returns {Object} - Derived fields to store next to the originals.
+ */
+function deriveJobFields(job) {
+  return {
+    jobId: job.jobId || parseJobId(job["Job URL"]),
+    ...parseExperience(job["Experience Required"]),
+    ...parseSalary(job["Salary"]),
+    ...normalizeLocation(job["Location"]),
+    ...normalizeSkills(job["Skills"]),
+    // "Posted" is relative to when it was read: the scrape, or the last refresh that updated it
+    postedAt: parsePostedDate(job["Posted"], job.postedReadAt || job["Scraped Date"] || new Date()),
+    openingsCount: parseCount(job["Openings"]),
+    applicantsCount: parseCount(job["Applicants"]),
+  };
+}
+
+/**
+ * Returns the key used to deduplicate and upsert a job: its Naukri job ID,
+ * or the URL for the rare listing whose URL carries no ID.
+ * @param {Object} job - Job record.
+ * @returns {string|null}
+ */
+function jobKey(job) {
+  return job.jobId || parseJobId(job["Job URL"]) || job["Job URL"] || null;
+}
+
+/**
+ * Returns the MongoDB filter that selects the stored copy of a job.
+ * @param {Object} job - Job record.
+ * @returns {Object}
+ */
+function jobKeyFilter(job) {
+  const jobId = job.jobId || parseJobId(job["Job URL"]);
+  return jobId ? { jobId } : { "Job URL": job["Job URL"] };
+}
+
+/**
+ * Turns the date strings of a job read back from a file or SQLite into Dates.
+ * @param {Object} job
+ * @returns {Object} - The same job.
+ */
+function reviveJobDates(job) {
+  for (const field of DATE_FIELDS) {
+    if (typeof job[field] === "string") job[field] = new Date(job[field]);
+  }
+  return job;
+}
+
+module.exports = {
+  DATE_FIELDS,
+  deriveJobFields,
+  jobKey,
+  jobKeyFilter,
+  reviveJobDates,
+};
@@ -0,0 +1,237 @@
+const { ObjectId } = require("mongodb");
+const { WORK_MODE_PREFIX, canonicalCity, cityAliases } = require("./location");
+const { canonicalSkills } = require("./skills");
+const { searchTerms, buildSnippets } = require("./textSearch");
+
+// --- Job Queries ---
+// Filters, sort orders and paging shared by query_jobs.js and the REST API. Parameters are
+// strings, as given on the command line (--skills react) or in a URL (?skills=react).
+
+const DEFAULT_LIMIT = 50;
+
+// Sort orders for the sort parameter; _id keeps pages stable when the sort key ties
+const SORT_ORDERS = {
+  newest: { "Scraped Date": -1, _id: -1 },
+  salary: { salaryMax: -1, salaryMin: -1, _id: 1 },
+  company: { "Company Name": 1, _id: 1 },
+};
+
+/**
+ * Escapes a string for literal use inside a regular expression.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Builds a regex matching a city's aliases as whole segments of a displayed location: at the
+ * start (after an optional "Hybrid - " prefix), after a comma, "(" or "/", and ending at the
+ * end or one of those. "Mumbai" thus matches "Pune, Mumbai" but not "Navi Mumbai".
+ * @param {string} name - City name, any spelling.
+ * @returns {string}
+ */
+function locationAliasPattern(name) {
+  const aliases = cityAliases(name).map(escapeRegex).join("|");
+  const workMode = WORK_MODE_PREFIX.source.replace(/^\^/, "");
+  return `(?:^(?:${workMode})?|[,(/])\\s*(?:${aliases})\\s*(?=$|[,()/])`;
+}
+
+/**
+ * Parses a date parameter.
+ * @param {string} name - Parameter name, for the error message.
+ * @param {string} value - Parameter value.
+ * @returns {Date}
+ * @throws {Error} - If the value is not a date.
+ */
+function parseDateParam(name, value) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`${name} must be a date such as 2025-06-01, got "${value}"`);
+  }
+  return date;
+}
+
+/**
+ * Parses a numeric parameter; missing or non-numeric values give null.
+ * @param {string|undefined} value
+ * @returns {number|null}
+ */
+function parseNumberParam(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Builds the MongoDB filter from query parameters. Every filter adds one condition, combined with $and.
+ *
+ *   search          - Full-text search over title, skills and description (needs the text index)
+ *   query           - Part of the job title, ignoring case
+ *   location        - City, any spelling
+ *   company         - Part of the company name
+ *   applicationType - "internal" or "external"
+ *   searchQuery     - Part of the search the job was found by
+ *   skills          - Comma-separated skills the job must all list
+ *   experience      - Years of experience the candidate has; the job's range must include it
+ *   minExperience, maxExperience - Experience range the job's range must overlap
+ *   minSalary, maxSalary         - Annual CTC in INR the job's disclosed range must overlap
+ *   scrapedAfter, scrapedBefore  - Dates; jobs scraped on or after / before them
+ *   status          - "active" (default), "expired", "removed" or "all"
+ *
+ * @param {Object<string, string>} params
+ * @returns {Object}
+ * @throws {Error} - If a date parameter is invalid.
+ */
+function buildJobFilter(params) {
+  const conditions = [];
+  if (params.search) {
+    conditions.push({ $text: { $search: params.search } });
+  }
+  if (params.query) {
+    conditions.push({ "Job Title": { $regex: escapeRegex(params.query), $options: "i" } });
+  }
+  if (params.location) {
+    // Match the canonical city, or any of its aliases on records not yet normalized
+    conditions.push({
+      $or: [
+        { locationCities: canonicalCity(params.location) },
+        { "Location": { $regex: locationAliasPattern(params.location), $options: "i" } },
+      ],
+    });
+  }
+  if (params.company) {
+    conditions.push({ "Company Name": { $regex: escapeRegex(params.company), $options: "i" } });
+  }
+  if (params.applicationType) {
+    conditions.push({ "Application Type": { $regex: `^${escapeRegex(params.applicationType)}$`, $options: "i" } });
+  }
+  if (params.searchQuery) {
+    conditions.push({ "Search Query": { $regex: escapeRegex(params.searchQuery), $options: "i" } });
+  }
+  const skills = params.skills ? params.skills.split(",").flatMap(canonicalSkills) : [];
+  if (skills.length > 0) {
+    conditions.push({ skillsCanonical: { $all: skills } });
+  }
+  const experience = parseNumberParam(params.experience);
+  if (experience !== null) {
+    // Jobs whose experience range includes the given years (open-ended ranges have no max)
+    conditions.push({ experienceMin: { $lte: experience } });
+    conditions.push({ $or: [{ experienceMax: { $gte: experience } }, { experienceMax: null }] });
+  }
+  // Experience bounds match jobs whose range overlaps them
+  const minExperience = parseNumberParam(params.minExperience);
+  if (minExperience !== null) {
+    conditions.push({ $or: [{ experienceMax: { $gte: minExperience } }, { experienceMax: null, experienceMin: { $ne: null } }] });
+  }
+  const maxExperience = parseNumberParam(params.maxExperience);
+  if (maxExperience !== null) {
+    conditions.push({ experienceMin: { $lte: maxExperience } });
+  }
+  // Salary filters only match jobs with a disclosed salary range overlapping the bounds
+  const minSalary = parseNumberParam(params.minSalary);
+  if (minSalary !== null) {
+    conditions.push({ salaryMax: { $gte: minSalary } });
+  }
+  const maxSalary = parseNumberParam(params.maxSalary);
+  if (maxSalary !== null) {
+    conditions.push({ salaryMin: { $lte: maxSalary } });
+  }
+  if (params.scrapedAfter) {
+    conditions.push({ "Scraped Date": { $gte: parseDateParam("scrapedAfter", params.scrapedAfter) } });
+  }
+  if (params.scrapedBefore) {
+    conditions.push({ "Scraped Date": { $lt: parseDateParam("scrapedBefore", params.scrapedBefore) } });
+  }
+  const status = params.status || "active";
+  if (status === "active") {
+    // Jobs stored before status tracking have no status and count as open
+    conditions.push({ status: { $nin: ["expired", "removed"] } });
+  } else if (status !== "all") {
+    conditions.push({ status });
+  }
+  return conditions.length > 0 ? { $and: conditions } : {};
+}
+
+/**
+ * Turns query parameters into a MongoDB query: the filter (see buildJobFilter), the sort
+ * order ("newest", "salary" or "company"; full-text searches rank by relevance by default)
+ * and the page (limit, then page or skip).
+ * @param {Object<string, string>} params
+ * @param {{maxLimit?: number}} [options] - maxLimit caps the page size.
+ * @returns {{filter: Object, sort: Object, projection: Object|undefined, skip: number, limit: number, search: string}}
+ * @throws {Error} - If the sort order or a date parameter is invalid.
+ */
+function buildJobQuery(params, { maxLimit = Infinity } = {}) {
+  if (params.sort && !SORT_ORDERS[params.sort]) {
+    throw new Error(`sort must be one of ${Object.keys(SORT_ORDERS).join(", ")}, got "${params.sort}"`);
+  }
+  const limit = Math.min(maxLimit, Math.max(1, parseInt(params.limit, 10) || DEFAULT_LIMIT));
+  const page = Math.max(1, parseInt(params.page, 10) || 1); // 1-based page of `limit` results
+  const skip = params.skip ? Math.max(0, parseInt(params.skip, 10) || 0) : (page - 1) * limit;
+
+  const query = {
+    filter: buildJobFilter(params),
+    sort: SORT_ORDERS[params.sort] || {},
+    projection: undefined,
+    skip,
+    limit,
+    search: params.search || "",
+  };
+  if (query.search) {
+    // Rank by relevance unless another order was asked for
+    query.projection = { searchScore: { $meta: "textScore" } };
+    if (!params.sort) query.sort = { searchScore: { $meta: "textScore" }, _id: 1 };
+  }
+  return query;
+}
+
+/**
+ * Runs a query from buildJobQuery. Full-text results get highlighted description snippets.
+ * Full-text search needs the text index, see ensureTextIndex in storage.js.
+ * @param {import('mongodb').Collection} collection - Jobs collection.
+ * @param {Object} query - Result of buildJobQuery.
+ * @returns {Promise<{total: number, skip: number, limit: number, jobs: Object[]}>} - total counts all matches.
+ */
+async function runJobQuery(collection, query) {
+  const total = await collection.countDocuments(query.filter);
+  const jobs = await collection
+    .find(query.filter, query.projection ? { projection: query.projection } : {})
+    .sort(query.sort)
+    .skip(query.skip)
+    .limit(query.limit)
+    .toArray();
+  if (query.search) {
+    const terms = searchTerms(query.search);
+    jobs.forEach(job => {
+      job.snippets = buildSnippets(job["Job Description"], terms);
+    });
+  }
+  return { total, skip: query.skip, limit: query.limit, jobs };
+}
+
+/**
+ * Loads one job by its Naukri job ID, or by its _id or URL for jobs without one.
+ * @param {import('mongodb').Collection} collection - Jobs collection.
+ * @param {string} jobId
+ * @returns {Promise<Object|null>}
+ */
+async function findJob(collection, jobId) {
+  const conditions = [{ jobId }, { "Job URL": jobId }];
+  // ObjectId.isValid also accepts any 12-character string
+  if (/^[0-9a-f]{24}$/i.test(jobId)) {
+    conditions.push({ _id: new ObjectId(jobId) });
+  }
+  return collection.findOne({ $or: conditions });
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  SORT_ORDERS,
+  escapeRegex,
+  buildJobFilter,
+  buildJobQuery,
+  runJobQuery,
+  findJob,
+};
@@ -0,0 +1,150 @@
+const fs = require("fs");
+const path = require("path");
+
+// --- Location Normalization ---
+// Maps the location strings shown on Naukri ("Bengaluru(Arekere)", "Kolkata, Mumbai, New Delhi",
+// "Hybrid - Bangalore") to canonical city names plus localities, using config/locationAliases.json.
+
+const DEFAULT_ALIASES_FILE = path.join(__dirname, "..", "config", "locationAliases.json");
+
+// Work-mode prefixes Naukri puts in front of the city list
+const WORK_MODE_PREFIX = /^(?:hybrid|temp\.?\s*wfh|remote|work from office)\s*-\s*/i;
+
+// Parenthesised text that is not a locality
+const NON_LOCALITY = /^(?:all areas|all)$/i;
+
+let aliasIndex = null;
+
+/**
+ * Reduces a place name to a lookup key: lower case, single spaces, no spaces around slashes.
+ * @param {string} name
+ * @returns {string}
+ */
+function aliasKey(name) {
+  return name.toLowerCase().replace(/\s+/g, " ").replace(/\s*\/\s*/g, "/").trim();
+}
+
+/**
+ * Loads the alias table and builds an alias -> canonical city index.
+ * @param {string} [file] - Alias table to load instead of the bundled one.
+ * @returns {Map<string, string>}
+ */
+function loadLocationAliases(file = DEFAULT_ALIASES_FILE) {
+  const table = JSON.parse(fs.readFileSync(file, "utf8"));
+  const index = new Map();
+  for (const [city, aliases] of Object.entries(table.cities)) {
+    index.set(aliasKey(city), city);
+    for (const alias of aliases) index.set(aliasKey(alias), city);
+  }
+  return index;
+}
+
+/**
+ * Returns the alias index, loading the bundled table on first use.
+ * @returns {Map<string, string>}
+ */
+function getAliasIndex() {
+  if (!aliasIndex) aliasIndex = loadLocationAliases();
+  return aliasIndex;
+}
+
+/**
+ * Returns the canonical city for a place name. Unknown names are kept, in title case.
+ * @param {string} name - City name as displayed or searched, e.g. "Bangalore".
+ * @returns {string|null} - Canonical city, or null for an empty name.
+ */
+function canonicalCity(name) {
+  if (!name || !name.trim()) return null;
+  const known = getAliasIndex().get(aliasKey(name));
+  if (known) return known;
+  return name
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase()
+    .replace(/\b[a-z]/g, c => c.toUpperCase());
+}
+
+/**
+ * Returns every alias that maps to the same canonical city as the given name,
+ * the canonical name included. Used to match records stored before normalization.
+ * @param {string} name - City name, e.g. "Bangalore".
+ * @returns {string[]}
+ */
+function cityAliases(name) {
+  const city = canonicalCity(name);
+  if (!city) return [];
+  const aliases = [city];
+  for (const [alias, canonical] of getAliasIndex()) {
+    if (canonical === city) aliases.push(alias);
+  }
+  return [...new Set(aliases)];
+}
+
+/**
+ * Splits on commas that are not inside parentheses.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+  for (const char of text) {
+    if (char === "(") depth++;
+    if (char === ")") depth = Math.max(0, depth - 1);
+    if (char === "," && depth === 0) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * Normalizes a displayed location into canonical cities and localities.
+ * "Bengaluru(Arekere)" -> cities ["Bengaluru"], localities ["Arekere"];
+ * "Kolkata, Mumbai, New Delhi" -> cities ["Kolkata", "Mumbai", "Delhi"], no localities.
+ * @param {string|null|undefined} text - Location as displayed.
+ * @returns {{locationCities: string[], locationLocalities: string[]}}
+ */
+function normalizeLocation(text) {
+  const cities = [];
+  const localities = [];
+  if (!text || typeof text !== "string") {
+    return { locationCities: cities, locationLocalities: localities };
+  }
+
+  const value = text.trim().replace(WORK_MODE_PREFIX, "");
+  for (const part of splitTopLevel(value)) {
+    // "Bengaluru(Arekere, HSR Layout)" - city followed by localities in parentheses
+    const match = part.match(/^([^(]*)\((.*)\)\s*$/);
+    const cityName = match ? match[1] : part;
+    // A whole alias such as "Mumbai (All Areas)" wins over the city/locality split
+    const alias = getAliasIndex().get(aliasKey(part)) || getAliasIndex().get(aliasKey(cityName));
+    // Unknown "Noida/Gurgaon" style names list several cities
+    const names = alias ? [alias] : cityName.split("/");
+    for (const name of names) {
+      const city = canonicalCity(name);
+      if (city && !cities.includes(city)) cities.push(city);
+    }
+    if (match) {
+      for (const locality of match[2].split(",").map(l => l.trim())) {
+        if (locality && !NON_LOCALITY.test(locality) && !localities.includes(locality)) {
+          localities.push(locality);
+        }
+      }
+    }
+  }
+  return { locationCities: cities, locationLocalities: localities };
+}
+
+module.exports = {
+  WORK_MODE_PREFIX,
+  loadLocationAliases,
+  canonicalCity,
+  cityAliases,
+  normalizeLocation,
+};
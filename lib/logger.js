@@ -0,0 +1,52 @@
+const fs = require("fs");
+const path = require("path");
+
+// --- Logging Setup ---
+
+/**
+ * Redirects console.log/error/warn to both the terminal and a log file,
+ * prefixing each line with a timestamp and level.
+ * Only the CLI entry points call this; the library itself leaves console untouched.
+ * @param {string} logFile - Path of the log file to append to.
+ * @returns {import('fs').WriteStream|null} - The open log stream, or null if file logging failed.
+ */
+function setupFileLogging(logFile) {
+  // Ensure logs directory exists
+  const logDir = path.dirname(logFile);
+  if (!fs.existsSync(logDir)) {
+    try {
+      fs.mkdirSync(logDir, { recursive: true });
+      console.log(`Created log directory: ${logDir}`);
+    } catch (err) {
+      console.error(`Error creating log directory: ${err.message}`);
+      // Continue without file logging if directory creation fails
+    }
+  }
+
+  let logStream;
+  try {
+    logStream = fs.createWriteStream(logFile, { flags: 'a' });
+    const originals = {
+      log: console.log,
+      error: console.error,
+      warn: console.warn, // Capture warnings too
+    };
+    const levels = { log: "INFO", error: "ERROR", warn: "WARN" };
+
+    for (const method of Object.keys(originals)) {
+      console[method] = function(...args) {
+        const timestamp = new Date().toISOString();
+        const message = args.map(arg => typeof arg === 'object' ? JSON.stringify(arg) : arg).join(' ');
+        const logMessage = `[${timestamp}] [${levels[method]}] ${message}`;
+        originals[method](logMessage); // Log to terminal
+        if (logStream) logStream.write(logMessage + '\n'); // Log to file
+      };
+    }
+  } catch (logErr) {
+    console.error(`Failed to create log file stream: ${logErr.message}. Logging to console only.`);
+    logStream = null; // Ensure logStream is null if setup failed
+  }
+  return logStream;
+}
+
+module.exports = { setupFileLogging };
@@ -0,0 +1,86 @@
+// --- Email Digest ---
+// One email per run and channel, listing the new jobs grouped by search, as plain text and HTML.
+
+/**
+ * Escapes text for HTML.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Describes a search for headings, e.g. "Data Analyst in Bangalore (Exp: 0)".
+ * @param {{query: string, location: string, experience: string}} search
+ * @returns {string}
+ */
+function searchLabel(search) {
+  return `${search.query} in ${search.location}${search.experience ? ` (Exp: ${search.experience})` : ""}`;
+}
+
+/**
+ * The details shown under a job title, skipping values Naukri did not show.
+ * @param {Object} job
+ * @returns {string}
+ */
+function jobLine(job) {
+  return [job["Company Name"], job["Location"], job["Experience Required"], job["Salary"], job["Application Type"]]
+    .filter(value => value && value !== "Not available")
+    .join(" | ");
+}
+
+/**
+ * Formats a digest as an email.
+ * @param {Object} digest - From buildDigest in notifications/index.js.
+ * @returns {{subject: string, text: string, html: string}}
+ */
+function formatEmailDigest(digest) {
+  const subject = `${digest.total} new job${digest.total === 1 ? "" : "s"} on Naukri` +
+    (digest.groups.length === 1 ? ` for ${searchLabel(digest.groups[0].search)}` : "");
+
+  const text = [];
+  const html = [`<p>${escapeHtml(subject)} (run started ${escapeHtml(new Date(digest.run.startedAt).toLocaleString())}).</p>`];
+  for (const { search, jobs } of digest.groups) {
+    text.push(`${searchLabel(search)} - ${jobs.length} new`, "");
+    html.push(`<h3>${escapeHtml(searchLabel(search))} - ${jobs.length} new</h3>`, "<ul>");
+    for (const job of jobs) {
+      text.push(`* ${job["Job Title"]}`, `  ${jobLine(job)}`, `  ${job["Job URL"]}`, "");
+      html.push(
+        `<li><a href="${escapeHtml(job["Job URL"])}">${escapeHtml(job["Job Title"])}</a><br>` +
+        `<small>${escapeHtml(jobLine(job))}</small></li>`
+      );
+    }
+    html.push("</ul>");
+  }
+  return { subject, text: text.join("\n"), html: html.join("\n") };
+}
+
+/**
+ * Sends a digest over SMTP.
+ * @param {Object} smtp - nodemailer transport options plus "from".
+ * @param {string|string[]} to - Recipients.
+ * @param {Object} digest - From buildDigest in notifications/index.js.
+ * @returns {Promise<void>}
+ */
+async function sendEmailDigest(smtp, to, digest) {
+  // Loaded on demand, only email channels need it
+  const nodemailer = require("nodemailer");
+  const { from, ...transportOptions } = smtp;
+  const transport = nodemailer.createTransport(transportOptions);
+  try {
+    await transport.sendMail({ from, to, ...formatEmailDigest(digest) });
+  } finally {
+    transport.close();
+  }
+}
+
+module.exports = {
+  escapeHtml,
+  formatEmailDigest,
+  sendEmailDigest,
+};
@@ -0,0 +1,152 @@
+const fs = require("fs");
+const { sendEmailDigest } = require("./email");
+const { WEBHOOK_FORMATS, buildWebhookPayload, postWebhook } = require("./webhook");
+
+// --- New-Job Notifications ---
+// After a run, the jobs it newly saved are sent to every configured channel: an email digest
+// over SMTP or a JSON POST to a webhook (generic or Slack-compatible). A channel may list
+// searches, and then only gets the jobs found by those searches. The configuration file:
+//
+//   {
+//     "smtp": { "host": "smtp.example.com", "port": 587, "secure": false,
+//               "auth": { "user": "scraper@example.com" }, "from": "Naukri Scraper <scraper@example.com>" },
+//     "channels": [
+//       { "type": "email", "to": ["team@example.com"] },
+//       { "type": "email", "to": "pune@example.com", "searches": [{ "query": "Frontend Developer", "location": "Pune" }] },
+//       { "type": "webhook", "url": "https://hooks.slack.com/services/...", "format": "slack" },
+//       { "type": "webhook", "url": "http://localhost:4000/jobs", "format": "json", "headers": { "X-Token": "..." } }
+//     ]
+//   }
+//
+// The SMTP password is read from the SMTP_PASSWORD environment variable unless the file sets it.
+
+const CHANNEL_TYPES = ["email", "webhook"];
+
+/**
+ * Loads and checks a notifications configuration file.
+ * @param {string} file - Path of the JSON file.
+ * @returns {{smtp: Object|null, channels: Object[]}}
+ * @throws {Error} - If the file cannot be read or a channel is incomplete.
+ */
+function loadNotificationsConfig(file) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not load notifications file ${file}: ${error.message}`);
+  }
+  const channels = Array.isArray(config.channels) ? config.channels : [];
+  const smtp = config.smtp ? { ...config.smtp } : null;
+  if (smtp && smtp.auth && smtp.auth.user && !smtp.auth.pass && process.env.SMTP_PASSWORD) {
+    smtp.auth = { ...smtp.auth, pass: process.env.SMTP_PASSWORD };
+  }
+
+  channels.forEach((channel, index) => {
+    const name = `Notifications file ${file}: channel ${index + 1}`;
+    if (!CHANNEL_TYPES.includes(channel.type)) {
+      throw new Error(`${name} has type "${channel.type}", expected one of ${CHANNEL_TYPES.join(", ")}`);
+    }
+    if (channel.type === "email" && (!smtp || !smtp.host || !smtp.from)) {
+      throw new Error(`${name} sends email but smtp.host or smtp.from is not set`);
+    }
+    if (channel.type === "email" && !(Array.isArray(channel.to) ? channel.to.length : channel.to)) {
+      throw new Error(`${name} has no "to" address`);
+    }
+    if (channel.type === "webhook" && !URL.canParse(channel.url || "")) {
+      throw new Error(`${name} has no valid "url"`);
+    }
+    if (channel.type === "webhook" && channel.format && !WEBHOOK_FORMATS.includes(channel.format)) {
+      throw new Error(`${name} has format "${channel.format}", expected one of ${WEBHOOK_FORMATS.join(", ")}`);
+    }
+  });
+  return { smtp, channels };
+}
+
+/**
+ * Checks whether a job was found by one of a channel's searches. Every key a search entry
+ * sets (query, location, experience) must match, ignoring case. No searches matches all jobs.
+ * @param {Object} job
+ * @param {Object[]|undefined} searches - The channel's searches.
+ * @returns {boolean}
+ */
+function matchesChannelSearches(job, searches) {
+  if (!Array.isArray(searches) || searches.length === 0) return true;
+  const jobSearch = { query: job["Search Query"], location: job["Search Location"], experience: job["Search Experience"] };
+  return searches.some(search => Object.keys(jobSearch).every(key =>
+    search[key] === undefined || String(search[key]).toLowerCase() === String(jobSearch[key] ?? "").toLowerCase()
+  ));
+}
+
+/**
+ * Groups jobs by the search that found them.
+ * @param {Object[]} jobs
+ * @param {{startedAt: Date, finishedAt: Date}} run - Times of the run.
+ * @returns {{run: Object, total: number, groups: {search: Object, jobs: Object[]}[]}}
+ */
+function buildDigest(jobs, run) {
+  const groups = new Map();
+  for (const job of jobs) {
+    // Jobs stored before the search fields existed are listed together
+    const search = {
+      query: job["Search Query"] || "Unknown search",
+      location: job["Search Location"] || "any location",
+      experience: job["Search Experience"] ?? "",
+    };
+    const key = [search.query, search.location, search.experience].join("|");
+    if (!groups.has(key)) groups.set(key, { search, jobs: [] });
+    groups.get(key).jobs.push(job);
+  }
+  return { run, total: jobs.length, groups: [...groups.values()] };
+}
+
+/**
+ * Sends one channel's notification.
+ * @param {Object} notifications - From loadNotificationsConfig.
+ * @param {Object} channel
+ * @param {Object} digest - From buildDigest.
+ * @returns {Promise<void>}
+ */
+async function sendToChannel(notifications, channel, digest) {
+  if (channel.type === "email") {
+    await sendEmailDigest(notifications.smtp, channel.to, digest);
+  } else {
+    await postWebhook(channel.url, buildWebhookPayload(digest, channel.format || "json"), { headers: channel.headers });
+  }
+}
+
+/**
+ * Sends the new jobs of a run to every channel that has jobs to report. A failing channel is
+ * logged and recorded, never thrown, and does not stop the others.
+ * @param {{smtp: Object|null, channels: Object[]}|null} notifications - From loadNotificationsConfig, null to send nothing.
+ * @param {Object[]} jobs - Jobs newly saved by the run.
+ * @param {{startedAt: Date, finishedAt: Date}} run - Times of the run.
+ * @returns {Promise<{type: string, target: string, jobs: number, sent: boolean, error: string|null}[]>}
+ */
+async function notifyNewJobs(notifications, jobs, run) {
+  if (!notifications || jobs.length === 0) return [];
+  const results = [];
+  for (const channel of notifications.channels) {
+    const channelJobs = jobs.filter(job => matchesChannelSearches(job, channel.searches));
+    if (channelJobs.length === 0) continue;
+    const target = channel.type === "email" ? [].concat(channel.to).join(", ") : new URL(channel.url).host;
+    const result = { type: channel.type, target, jobs: channelJobs.length, sent: false, error: null };
+    try {
+      await sendToChannel(notifications, channel, buildDigest(channelJobs, run));
+      result.sent = true;
+      console.log(`Notified ${target} (${channel.type}) of ${channelJobs.length} new jobs.`);
+    } catch (notifyError) {
+      result.error = notifyError.message;
+      console.error(`Error notifying ${target} (${channel.type}): ${notifyError.message}`);
+    }
+    results.push(result);
+  }
+  return results;
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  loadNotificationsConfig,
+  matchesChannelSearches,
+  buildDigest,
+  notifyNewJobs,
+};
@@ -0,0 +1,101 @@
+const { DEFAULT_COLUMNS, selectColumns } = require("../exporters");
+
+// --- Webhooks ---
+// One JSON POST per run and channel. "json" sends the jobs grouped by search for other tools;
+// "slack" sends a message that Slack incoming webhooks (and compatible chat tools) display.
+
+const WEBHOOK_FORMATS = ["json", "slack"];
+const WEBHOOK_TIMEOUT_MS = 15000;
+const SLACK_MAX_JOBS = 20; // Jobs listed in a Slack message; Slack allows 50 blocks
+const WEBHOOK_JOB_FIELDS = ["jobId", ...DEFAULT_COLUMNS, "Skills"];
+
+/**
+ * Escapes text for Slack mrkdwn.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeSlack(value) {
+  return String(value ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * Builds a Slack message with a section per search and a line per job.
+ * @param {Object} digest - From buildDigest in notifications/index.js.
+ * @returns {{text: string, blocks: Object[]}}
+ */
+function buildSlackPayload(digest) {
+  const text = `${digest.total} new job${digest.total === 1 ? "" : "s"} on Naukri`;
+  const blocks = [{ type: "header", text: { type: "plain_text", text } }];
+  let listed = 0;
+  for (const { search, jobs } of digest.groups) {
+    const lines = jobs.slice(0, Math.max(0, SLACK_MAX_JOBS - listed)).map(job => {
+      const details = [job["Company Name"], job["Location"], job["Salary"], job["Application Type"]]
+        .filter(value => value && value !== "Not available")
+        .map(escapeSlack)
+        .join(" · ");
+      return `• <${job["Job URL"]}|${escapeSlack(job["Job Title"]).replace(/\|/g, "/")}> - ${details}`;
+    });
+    listed += lines.length;
+    const heading = `*${escapeSlack(search.query)}* in ${escapeSlack(search.location)} - ${jobs.length} new`;
+    // Section text is limited to 3000 characters
+    blocks.push({ type: "section", text: { type: "mrkdwn", text: [heading, ...lines].join("\n").slice(0, 3000) } });
+  }
+  if (digest.total > listed) {
+    blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: `...and ${digest.total - listed} more` }] });
+  }
+  return { text, blocks };
+}
+
+/**
+ * Builds the body of a webhook POST.
+ * @param {Object} digest - From buildDigest in notifications/index.js.
+ * @param {string} format - "json" or "slack".
+ * @returns {Object}
+ */
+function buildWebhookPayload(digest, format) {
+  if (format === "slack") return buildSlackPayload(digest);
+  return {
+    event: "jobs.new",
+    run: digest.run,
+    total: digest.total,
+    searches: digest.groups.map(({ search, jobs }) => ({
+      ...search,
+      count: jobs.length,
+      jobs: selectColumns(jobs, WEBHOOK_JOB_FIELDS),
+    })),
+  };
+}
+
+/**
+ * POSTs a JSON payload.
+ * @param {string} url
+ * @param {Object} payload
+ * @param {{headers?: Object, timeoutMs?: number}} [options] - Extra headers, e.g. for authentication.
+ * @returns {Promise<void>}
+ * @throws {Error} - If the request fails, times out or the response status is not 2xx.
+ */
+async function postWebhook(url, payload, { headers = {}, timeoutMs = WEBHOOK_TIMEOUT_MS } = {}) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (fetchError) {
+    // fetch reports network errors as "fetch failed" with the reason in cause
+    throw new Error(fetchError.cause ? `${fetchError.message}: ${fetchError.cause.message}` : fetchError.message);
+  }
+  if (!response.ok) {
+    const body = await response.text().catch(() => "");
+    throw new Error(`Webhook answered ${response.status}${body ? `: ${body.slice(0, 200)}` : ""}`);
+  }
+}
+
+module.exports = {
+  WEBHOOK_FORMATS,
+  buildSlackPayload,
+  buildWebhookPayload,
+  postWebhook,
+};
@@ -0,0 +1,206 @@
+const { NAUKRI_BASE_URL } = require("./config");
+
+// --- Field Parsers ---
+// Turn the free-text values shown on Naukri into structured fields for filtering and sorting.
+
+/**
+ * Extracts Naukri's numeric job ID from a listing URL. The ID is the digit run at the end of
+ * the path, e.g. "080425008002" in ".../job-listings-frontend-developer-...-080425008002?src=jobsearchDesk",
+ * so slug changes and tracking parameters do not change it.
+ * @param {string|null|undefined} url - Job listing URL.
+ * @returns {string|null} - The ID (kept as a string to preserve leading zeros), or null if absent.
+ */
+function parseJobId(url) {
+  if (!url || typeof url !== "string") return null;
+  let pathname;
+  try {
+    pathname = new URL(url, NAUKRI_BASE_URL).pathname;
+  } catch (e) {
+    return null;
+  }
+  const match = pathname.match(/-(\d{6,})\/?$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Parses an "Experience Required" string into numeric years.
+ * Handles ranges ("0-2 Yrs", "2 to 5 years"), single values ("0 Yrs"),
+ * open-ended values ("5+ Yrs") and "Fresher". Anything else yields nulls.
+ * @param {string|null|undefined} text - Experience as displayed, e.g. "0-2 Yrs".
+ * @returns {{experienceMin: number|null, experienceMax: number|null}}
+ */
+function parseExperience(text) {
+  const empty = { experienceMin: null, experienceMax: null };
+  if (!text || typeof text !== "string") return empty;
+  const value = text.trim().toLowerCase();
+
+  if (/\bfresher/.test(value)) {
+    return { experienceMin: 0, experienceMax: 0 };
+  }
+
+  const range = value.match(/(\d+(?:\.\d+)?)\s*(?:-|–|to)\s*(\d+(?:\.\d+)?)/);
+  if (range) {
+    const min = parseFloat(range[1]);
+    const max = parseFloat(range[2]);
+    return { experienceMin: Math.min(min, max), experienceMax: Math.max(min, max) };
+  }
+
+  const openEnded = value.match(/(\d+(?:\.\d+)?)\s*\+/);
+  if (openEnded) {
+    return { experienceMin: parseFloat(openEnded[1]), experienceMax: null };
+  }
+
+  const single = value.match(/(\d+(?:\.\d+)?)\s*(?:yrs?|years?)\b/);
+  if (single) {
+    const years = parseFloat(single[1]);
+    return { experienceMin: years, experienceMax: years };
+  }
+
+  return empty;
+}
+
+// Multipliers from the units Naukri uses to rupees
+const SALARY_UNITS = [
+  { pattern: /^(?:cr|crore|crores)$/, multiplier: 1e7 },
+  { pattern: /^(?:l|lac|lacs|lakh|lakhs|lpa|l\.p\.a\.?)$/, multiplier: 1e5 },
+  { pattern: /^(?:k|thousand)$/, multiplier: 1e3 },
+];
+
+// Pay periods other than annual, with how many make a year; the first whose pattern matches wins
+const SALARY_PERIODS = [
+  { period: "daily", pattern: /(?:per\s*day|\/\s*day\b|\ba\s+day\b|\bdaily\b)/, perYear: 260 }, // Working days
+  { period: "weekly", pattern: /(?:per\s*week|\/\s*(?:week|wk)\b|\bweekly\b)/, perYear: 52 },
+  { period: "monthly", pattern: /(?:per\s*month|\/\s*month|\/\s*mo\b|\bp\.?\s*m\.?(?:\s|$)|\bmonthly\b|\bpm\b|\bstipend\b)/, perYear: 12 },
+];
+
+// Annual amounts below this are not real salaries, e.g. "10-15" with its unit missing
+const MIN_ANNUAL_SALARY = 10000;
+
+// A unitless low end of a range below this shares the range's unit ("3-5 Lacs"), larger ones are rupees
+const UNITLESS_SMALL_LIMIT = 1000;
+
+/**
+ * Parses an amount that may have thousands separators, e.g. "1,50,000".
+ * @param {string} text
+ * @returns {number}
+ */
+function parseAmount(text) {
+  return parseFloat(text.replace(/,/g, ""));
+}
+
+/**
+ * Returns the rupee multiplier for a unit word, 1 when there is none.
+ * @param {string|undefined} unit
+ * @returns {number}
+ */
+function salaryUnitMultiplier(unit) {
+  if (!unit) return 1;
+  const match = SALARY_UNITS.find(u => u.pattern.test(unit));
+  return match ? match.multiplier : 1;
+}
+
+/**
+ * Parses a "Salary" string into an annual CTC range in INR.
+ * Handles "3-5 Lacs PA", "10-15 LPA", "1-1.5 Cr", "₹ 15,000-20,000 /month" and single values.
+ * Daily, weekly and monthly amounts are annualized; salaryPeriod keeps the period as displayed.
+ * Implausibly small results (a missing unit) count as undisclosed.
+ * @param {string|null|undefined} text - Salary as displayed, e.g. "3-5 Lacs PA" or "Not disclosed".
+ * @returns {{salaryMin: number|null, salaryMax: number|null, salaryPeriod: string|null, salaryDisclosed: boolean}}
+ */
+function parseSalary(text) {
+  const undisclosed = { salaryMin: null, salaryMax: null, salaryPeriod: null, salaryDisclosed: false };
+  if (!text || typeof text !== "string") return undisclosed;
+  // Thousands separators stay in for now: a grouped low end ("50,000 - 1 Lacs") is in rupees
+  const value = text.toLowerCase().replace(/₹|\brs\.?|\binr\b/g, " ");
+  if (/not\s*disclosed|unpaid/.test(value)) return undisclosed;
+
+  const number = "(\\d{1,3}(?:,\\d{2,3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?)";
+  const unit = "\\s*(cr|crores?|lpa|l\\.p\\.a\\.?|l|lacs?|lakhs?|k|thousand)?\\b";
+  const range = value.match(new RegExp(`${number}${unit}\\s*(?:-|–|to)\\s*${number}${unit}`));
+  const single = range ? null : value.match(new RegExp(`${number}${unit}`));
+  if (!range && !single) return undisclosed;
+
+  let min;
+  let max;
+  if (range) {
+    const maxMultiplier = salaryUnitMultiplier(range[4]);
+    min = parseAmount(range[1]);
+    max = parseAmount(range[3]) * maxMultiplier;
+    if (range[2]) {
+      min *= salaryUnitMultiplier(range[2]);
+    } else if (!range[1].includes(",") && min < UNITLESS_SMALL_LIMIT) {
+      // "3-5 Lacs" - a bare small low end shares the trailing unit; anything else is rupees
+      min *= maxMultiplier;
+    }
+  } else {
+    min = max = parseAmount(single[1]) * salaryUnitMultiplier(single[2]);
+  }
+
+  const { period: salaryPeriod, perYear } = SALARY_PERIODS.find(({ pattern }) => pattern.test(value)) ||
+    { period: "annual", perYear: 1 };
+  if (Math.max(min, max) * perYear < MIN_ANNUAL_SALARY) return undisclosed;
+  return {
+    salaryMin: Math.round(Math.min(min, max) * perYear),
+    salaryMax: Math.round(Math.max(min, max) * perYear),
+    salaryPeriod,
+    salaryDisclosed: true,
+  };
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Relative-age units Naukri uses, in milliseconds
+const AGE_UNITS = [
+  { pattern: /^(?:min|mins|minute|minutes)$/, ms: 60 * 1000 },
+  { pattern: /^(?:hr|hrs|hour|hours)$/, ms: HOUR_MS },
+  { pattern: /^(?:day|days)$/, ms: DAY_MS },
+  { pattern: /^(?:week|weeks)$/, ms: 7 * DAY_MS },
+  { pattern: /^(?:month|months)$/, ms: 30 * DAY_MS },
+];
+
+/**
+ * Converts a relative posting age ("3 Days Ago", "Just Now", "Today", "30+ Days Ago")
+ * into an absolute timestamp. Open-ended ages like "30+ Days Ago" give the latest
+ * possible time, i.e. 30 days before the reference.
+ * @param {string|null|undefined} text - Posting age as displayed.
+ * @param {Date|string|number} [reference] - When the text was read, defaults to now.
+ * @returns {Date|null} - Posting time, or null if the text is not a recognised age.
+ */
+function parsePostedDate(text, reference = new Date()) {
+  if (!text || typeof text !== "string") return null;
+  const value = text.trim().toLowerCase();
+  const base = new Date(reference).getTime();
+  if (Number.isNaN(base)) return null;
+
+  if (/just now|today|few (?:seconds|minutes|hours)/.test(value)) return new Date(base);
+  if (/yesterday/.test(value)) return new Date(base - DAY_MS);
+
+  const age = value.match(/(\d+)\s*\+?\s*([a-z]+)/);
+  if (!age) return null;
+  const unit = AGE_UNITS.find(u => u.pattern.test(age[2]));
+  if (!unit) return null;
+  return new Date(base - parseInt(age[1], 10) * unit.ms);
+}
+
+/**
+ * Parses a displayed count such as "2", "1,250" or "100+". Bounded counts give their
+ * lower bound: 100 for "100+", 0 for "Less than 10".
+ * @param {string|number|null|undefined} text - Count as displayed.
+ * @returns {number|null} - The count, or null if the text has no number.
+ */
+function parseCount(text) {
+  if (typeof text === "number") return Number.isFinite(text) ? text : null;
+  if (!text || typeof text !== "string") return null;
+  if (/less than|fewer than|under/i.test(text) && /\d/.test(text)) return 0;
+  const match = text.replace(/(\d),(?=\d)/g, "$1").match(/\d+/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+module.exports = {
+  parseJobId,
+  parseExperience,
+  parseSalary,
+  parsePostedDate,
+  parseCount,
+};
@@ -0,0 +1,231 @@
+const { LONG_SLEEP_INTERVAL, SLEEP_INTERVAL, resolveOptions } = require("./config");
+const { takeScreenshot } = require("./webdriverHelpers");
+const { initializeDriver, establishSession } = require("./browser");
+const { connectMongo, loadJobsToRefresh } = require("./storage");
+const { extractJobDetails, detectJobStatus } = require("./extractors");
+const { loadSelectors } = require("./selectors");
+const { deriveJobFields, jobKeyFilter } = require("./jobFields");
+const { recordJobChanges } = require("./history");
+const { startRun, finishRun } = require("./runs");
+
+// --- Refresh Mode ---
+// Revisits jobs already in MongoDB to find out whether they are still open. Open jobs get
+// lastSeen and their details updated; closed ones get status "expired" or "removed" and closedAt.
+// Changed fields are recorded in the job history (see history.js).
+
+// Naukri sends visitors of a dropped listing to search results, e.g. /data-analyst-jobs-in-pune
+const LISTING_PAGE_PATH = /^\/[a-z0-9-]+-jobs(?:-in-[a-z0-9-]+)?\/?$/i;
+
+/**
+ * Checks whether a URL is a Naukri search results page.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isListingPage(url) {
+  try {
+    const { hostname, pathname } = new URL(url);
+    return /(?:^|\.)naukri\.com$/.test(hostname) && LISTING_PAGE_PATH.test(pathname);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Opens a stored job's details page and works out its status.
+ * A redirect to a not-found or search results page means Naukri dropped the listing; any other
+ * redirect (a login page, a CAPTCHA, the home page) cannot be judged.
+ * @param {import('selenium-webdriver').WebDriver} driver - The Selenium WebDriver instance.
+ * @param {Object} job - Stored job document.
+ * @param {Object} selectors - The registry's "detail" group.
+ * @returns {Promise<{status: "active"|"expired"|"removed"|null, details: Object|null}>} - status is null when the page could not be judged.
+ */
+async function checkJob(driver, job, selectors) {
+  await driver.get(job["Job URL"]);
+  await driver.sleep(LONG_SLEEP_INTERVAL);
+
+  const pageHtml = await driver.getPageSource();
+  const currentUrl = await driver.getCurrentUrl();
+  const status = detectJobStatus(pageHtml, selectors);
+  if (job.jobId && !currentUrl.includes(job.jobId)) {
+    if (status === "removed" || isListingPage(currentUrl)) {
+      console.log(`  Redirected to ${currentUrl}, listing no longer exists.`);
+      return { status: "removed", details: null };
+    }
+    console.warn(`  Redirected to ${currentUrl}, which is neither the listing nor a not-found page.`);
+    return { status: null, details: null };
+  }
+
+  return { status, details: status === "active" ? extractJobDetails(pageHtml, selectors) : null };
+}
+
+/**
+ * Builds the update for a job that is still open, refreshing the values the details page shows.
+ * A new "Posted" text is relative to this visit, so postedReadAt records when it was read; the
+ * posting time itself is kept once known.
+ * @param {Object} job - Stored job document.
+ * @param {Object} details - Result of extractJobDetails.
+ * @param {Date} now - Time of the visit.
+ * @returns {Object} - Fields to $set.
+ */
+function buildActiveUpdate(job, details, now) {
+  const displayed = {};
+  if (details.jobDescription) displayed["Job Description"] = details.jobDescription;
+  if (details.skills) displayed["Skills"] = details.skills;
+  if (details.posted) {
+    displayed["Posted"] = details.posted;
+    displayed.postedReadAt = now;
+  }
+  if (details.openings) displayed["Openings"] = details.openings;
+  if (details.applicants) displayed["Applicants"] = details.applicants;
+
+  const derived = deriveJobFields({ ...job, ...displayed });
+  derived.postedAt = job.postedAt || derived.postedAt;
+  return {
+    ...displayed,
+    ...derived,
+    lastSeen: now,
+    lastUpdated: now,
+    status: "active",
+    closedAt: null,
+  };
+}
+
+/**
+ * Revisits known jobs in MongoDB and updates lastSeen, status and closedAt.
+ * Only jobs not seen within options.refresh.staleAfterHours are visited, least recently seen
+ * first, up to options.refresh.limit per run. Pages that cannot be judged leave the job unchanged.
+ * Like scrapeNaukriJobs, fatal errors are recorded on the summary instead of being thrown.
+ * @param {Object} [options] - Scrape options, see DEFAULT_OPTIONS in config.js. Only MongoDB storage is supported.
+ * @returns {Promise<{jobs: Object[], summary: Object}>} - Checked jobs with their new status, and the run summary.
+ * @throws {Error} - If MongoDB storage is not configured.
+ */
+async function refreshKnownJobs(options = {}) {
+  const opts = resolveOptions(options);
+  if (opts.storage.type !== "mongodb" || !opts.storage.mongo) {
+    throw new Error('Refresh mode needs MongoDB storage (storage.type "mongodb" with storage.mongo)');
+  }
+  const selectors = loadSelectors({
+    registryFile: opts.selectorsFile,
+    overridesFile: opts.selectorOverridesFile,
+  });
+
+  let driver = null;
+  let stopping = null; // Quit of the browser started by a stop
+  let mongoClient = null;
+  let runsCollection = null;
+  let runId = null;
+  const checkedJobs = [];
+  const summary = {
+    mode: "refresh",
+    startedAt: new Date(),
+    finishedAt: null,
+    checked: 0,
+    active: 0,
+    expired: 0,
+    removed: 0,
+    unknown: 0,
+    error: null,
+  };
+  // A stop (SIGTERM, Ctrl+C) quits the browser so the page load in progress fails, see scrapeSearches
+  const stopReason = () => (opts.signal.reason instanceof Error ? opts.signal.reason.message : String(opts.signal.reason));
+  const stopRun = () => {
+    console.warn(`\nStop requested: ${stopReason()}`);
+    if (driver) {
+      stopping = driver.quit().catch(quitError => console.warn(`Error quitting WebDriver: ${quitError.message}`));
+      driver = null;
+    }
+  };
+  const throwIfStopped = () => {
+    if (opts.signal && opts.signal.aborted) throw new Error(stopReason());
+  };
+  if (opts.signal) opts.signal.addEventListener("abort", stopRun, { once: true });
+
+  try {
+    let jobsCollection;
+    let historyCollection;
+    ({ client: mongoClient, collection: jobsCollection, historyCollection, runsCollection } = await connectMongo(opts.storage.mongo));
+    runId = await startRun(runsCollection, { mode: "refresh", limit: opts.refresh.limit, staleAfterHours: opts.refresh.staleAfterHours });
+    const jobs = await loadJobsToRefresh(jobsCollection, opts.refresh);
+    console.log(`Refreshing ${jobs.length} known jobs not seen in the last ${opts.refresh.staleAfterHours} hours.`);
+    if (jobs.length > 0) {
+      throwIfStopped();
+      driver = await initializeDriver();
+      throwIfStopped(); // A browser started during the stop is quit by the cleanup below
+      await establishSession(driver, opts);
+
+      for (const job of jobs) {
+        throwIfStopped();
+        console.log(`\nChecking ${job["Job Title"]} (${job.jobId || job["Job URL"]})`);
+        const now = new Date();
+        let result;
+        try {
+          result = await checkJob(driver, job, selectors.detail);
+        } catch (checkError) {
+          throwIfStopped();
+          console.error(`  Error checking job: ${checkError.message}`);
+          await takeScreenshot(driver, `refresh_error_${job.jobId || summary.checked}.png`);
+          result = { status: null, details: null };
+        }
+        summary.checked++;
+
+        let update = null;
+        if (result.status === "active") {
+          update = buildActiveUpdate(job, result.details, now);
+        } else if (result.status === "expired" || result.status === "removed") {
+          update = { status: result.status, closedAt: now };
+        }
+        if (!update) {
+          summary.unknown++;
+          console.warn("  Could not tell whether the job is still open, leaving it unchanged.");
+        } else {
+          summary[result.status]++;
+          console.log(`  Status: ${result.status}`);
+          await recordJobChanges(historyCollection, job, update, now);
+          await jobsCollection.updateOne(jobKeyFilter(job), { $set: { ...update, lastChecked: now } });
+          checkedJobs.push({ ...job, ...update, lastChecked: now });
+        }
+
+        await driver.sleep(SLEEP_INTERVAL + Math.random() * 1000); // Politeness pause between jobs
+      }
+    }
+  } catch (error) {
+    console.error(`\n--- FATAL REFRESH ERROR ---`);
+    console.error(`Error: ${error.message}`);
+    console.error(error.stack);
+    summary.error = opts.signal && opts.signal.aborted ? stopReason() : error.message;
+  } finally {
+    if (opts.signal) opts.signal.removeEventListener("abort", stopRun);
+    summary.finishedAt = new Date();
+    await stopping;
+    if (driver) {
+      try {
+        await driver.quit();
+        console.log("WebDriver closed successfully.");
+      } catch (e) {
+        console.error("Error closing WebDriver:", e.message);
+      }
+    }
+    if (runId) {
+      await finishRun(runsCollection, runId, summary);
+    }
+    if (mongoClient) {
+      try {
+        await mongoClient.close();
+        console.log("MongoDB connection closed.");
+      } catch (e) {
+        console.error("Error closing MongoDB connection:", e.message);
+      }
+    }
+  }
+
+  console.log(
+    `\nRefresh finished: ${summary.checked} checked, ${summary.active} active, ${summary.expired} expired, ${summary.removed} removed, ${summary.unknown} unknown.`
+  );
+  return { jobs: checkedJobs, summary };
+}
+
+module.exports = {
+  checkJob,
+  buildActiveUpdate,
+  refreshKnownJobs,
+};
@@ -0,0 +1,92 @@
+// --- Run Records ---
+// Every scrape or refresh run that uses MongoDB is recorded in the runs collection: a record
+// with status "running" when it starts, a heartbeat after every results page, and the
+// run summary with status "completed" or "failed" when it ends. The REST API reports them.
+
+const DEFAULT_RUNS_COLLECTION = "runs";
+const STALE_RUN_MINUTES = 30; // A running run without a heartbeat for this long probably died
+
+/**
+ * Records the start of a run. Failures are logged and never affect the run.
+ * @param {import('mongodb').Collection} runsCollection
+ * @param {Object} details - What the run does, e.g. { mode: "search", searches: [...] }.
+ * @returns {Promise<import('mongodb').ObjectId|null>} - ID of the run record, null if it could not be written.
+ */
+async function startRun(runsCollection, details) {
+  try {
+    const now = new Date();
+    const { insertedId } = await runsCollection.insertOne({
+      ...details,
+      status: "running",
+      startedAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      progress: {},
+      summary: null,
+    });
+    return insertedId;
+  } catch (runError) {
+    console.warn(`Could not record run start: ${runError.message}`);
+    return null;
+  }
+}
+
+/**
+ * Updates the progress of a running run. Failures are logged and never affect the run.
+ * @param {import('mongodb').Collection} runsCollection
+ * @param {import('mongodb').ObjectId|null} runId - From startRun.
+ * @param {Object} progress - Counters to show, e.g. { pagesScraped, newJobsCount }.
+ * @returns {Promise<void>}
+ */
+async function updateRunProgress(runsCollection, runId, progress) {
+  if (!runId) return;
+  try {
+    await runsCollection.updateOne({ _id: runId }, { $set: { progress, updatedAt: new Date() } });
+  } catch (runError) {
+    console.warn(`Could not record run progress: ${runError.message}`);
+  }
+}
+
+/**
+ * Records the end of a run with its summary. Failures are logged and never affect the run.
+ * @param {import('mongodb').Collection} runsCollection
+ * @param {import('mongodb').ObjectId|null} runId - From startRun.
+ * @param {Object} summary - Run summary; a set error marks the run failed.
+ * @returns {Promise<void>}
+ */
+async function finishRun(runsCollection, runId, summary) {
+  if (!runId) return;
+  try {
+    const now = new Date();
+    await runsCollection.updateOne(
+      { _id: runId },
+      { $set: { status: summary.error ? "failed" : "completed", finishedAt: now, updatedAt: now, summary } }
+    );
+  } catch (runError) {
+    console.warn(`Could not record run end: ${runError.message}`);
+  }
+}
+
+/**
+ * Loads the most recent runs, newest first. Running runs whose last heartbeat is older than
+ * STALE_RUN_MINUTES are reported with status "stale".
+ * @param {import('mongodb').Collection} runsCollection
+ * @param {{limit?: number, filter?: Object}} [options]
+ * @returns {Promise<Object[]>}
+ */
+async function loadRecentRuns(runsCollection, { limit = 20, filter = {} } = {}) {
+  const staleBefore = Date.now() - STALE_RUN_MINUTES * 60 * 1000;
+  const runs = await runsCollection.find(filter).sort({ startedAt: -1 }).limit(limit).toArray();
+  return runs.map(run => (run.status === "running" && new Date(run.updatedAt).getTime() < staleBefore
+    ? { ...run, status: "stale" }
+    : run));
+}
+
+module.exports = {
+  DEFAULT_RUNS_COLLECTION,
+  STALE_RUN_MINUTES,
+  startRun,
+  updateRunProgress,
+  finishRun,
+  loadRecentRuns,
+};
@@ -0,0 +1,297 @@
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const { parseCron, nextCronTime } = require("./cron");
+const { searchSignature } = require("./checkpoint");
+const { writeFileAtomic } = require("./storage");
+
+// --- Scheduler ---
+// Long-running replacement for cron plus run_scraper.sh. Every scheduled search starts
+// dynamic_scraper.js in a child process at the times of its cron expression, delayed by a
+// random jitter. A search whose previous run is still going is skipped, never run twice at
+// once (even when several entries schedule the same search), and at most maxConcurrentRuns searches run at the same time (the rest wait their
+// turn). Every run, and every skipped start, is appended to the schedule history file.
+
+const DEFAULT_SCHEDULE_HISTORY_FILE = "./schedule_history.json";
+const MAX_HISTORY_ENTRIES = 1000; // Oldest entries are dropped beyond this
+const MAX_TIMER_MS = 60 * 1000; // Re-check at least every minute, so clock changes are noticed
+const KILL_GRACE_MS = 30 * 1000; // Time a stopped run gets to exit before it is killed
+const OUTPUT_TAIL_CHARS = 2000; // Error output kept in the history of a failed run
+const SCRAPER_SCRIPT = path.join(__dirname, "..", "dynamic_scraper.js");
+
+// Command line arguments of dynamic_scraper.js for the search options
+const SCRAPER_ARGS = {
+  query: "--query",
+  location: "--location",
+  experience: "--experience",
+  internalLimit: "--internal",
+  externalLimit: "--external",
+  maxPages: "--pages",
+};
+
+/**
+ * Builds the dynamic_scraper.js arguments of a search.
+ * @param {Object} search - Search options, see SEARCH_OPTION_KEYS in config.js.
+ * @returns {string[]}
+ */
+function scraperArgs(search) {
+  const args = [];
+  for (const [key, flag] of Object.entries(SCRAPER_ARGS)) {
+    if (search[key] !== undefined && search[key] !== null) args.push(flag, String(search[key]));
+  }
+  return args;
+}
+
+/**
+ * Starts a scrape of one search in a child process. The child inherits the environment, so
+ * credentials and storage settings come from .env as for a manual run.
+ * @param {Object} schedule - Entry from loadSchedulesFile.
+ * @param {{scriptPath?: string, extraArgs?: string[]}} [options]
+ * @returns {{done: Promise<{exitCode: number|null, signal: string|null, output: string}>, stop: function(string): void}}
+ *   - done resolves when the child has exited, with the end of its error output.
+ */
+function spawnScraperRun(schedule, { scriptPath = SCRAPER_SCRIPT, extraArgs = [] } = {}) {
+  const child = spawn(process.execPath, [scriptPath, ...scraperArgs(schedule.search), ...extraArgs], {
+    stdio: ["ignore", "ignore", "pipe"], // The scraper writes its own log file
+  });
+  let output = "";
+  child.stderr.on("data", chunk => {
+    output = (output + chunk).slice(-OUTPUT_TAIL_CHARS);
+  });
+
+  const done = new Promise(resolve => {
+    let settled = false;
+    const settle = result => {
+      if (settled) return;
+      settled = true;
+      resolve(result);
+    };
+    child.on("error", spawnError => settle({ exitCode: null, signal: null, output: spawnError.message }));
+    child.on("close", (exitCode, signal) => settle({ exitCode, signal, output }));
+  });
+  return {
+    done,
+    stop: signal => {
+      if (child.exitCode === null && child.signalCode === null) child.kill(signal);
+    },
+  };
+}
+
+/**
+ * Loads the schedule history, oldest first.
+ * @param {string} historyFile
+ * @returns {Object[]} - History entries; empty if the file does not exist or cannot be read.
+ */
+function loadScheduleHistory(historyFile) {
+  if (!fs.existsSync(historyFile)) return [];
+  try {
+    const history = JSON.parse(fs.readFileSync(historyFile, "utf8"));
+    return Array.isArray(history) ? history : [];
+  } catch (readError) {
+    console.warn(`Could not read schedule history ${historyFile}: ${readError.message}`);
+    return [];
+  }
+}
+
+/**
+ * Appends an entry to the schedule history. Failures are logged and never affect the scheduler.
+ * @param {string} historyFile
+ * @param {Object} entry
+ */
+function appendScheduleHistory(historyFile, entry) {
+  try {
+    const history = loadScheduleHistory(historyFile);
+    history.push(entry);
+    writeFileAtomic(historyFile, JSON.stringify(history.slice(-MAX_HISTORY_ENTRIES), null, 2));
+  } catch (writeError) {
+    console.warn(`Could not write schedule history ${historyFile}: ${writeError.message}`);
+  }
+}
+
+/**
+ * Creates a scheduler. It does nothing until started.
+ * @param {Object} options
+ * @param {Object[]} options.schedules - From loadSchedulesFile.
+ * @param {string} [options.historyFile] - Where runs are recorded.
+ * @param {number} [options.maxConcurrentRuns] - Searches that may run at the same time.
+ * @param {function(Object): {done: Promise, stop: function}} [options.launchRun] - Starts a run, spawnScraperRun by default.
+ * @param {function(): number} [options.random] - Random number source for the jitter.
+ * @returns {{start: function(): void, stop: function(): Promise<void>, status: function(): Object[]}}
+ */
+function createScheduler({
+  schedules,
+  historyFile = DEFAULT_SCHEDULE_HISTORY_FILE,
+  maxConcurrentRuns = 1,
+  launchRun = spawnScraperRun,
+  random = Math.random,
+}) {
+  const entries = schedules.map(schedule => ({
+    ...schedule,
+    key: searchSignature(schedule.search),
+    cron: parseCron(schedule.schedule), // Throws on a bad expression before anything starts
+    scheduledFor: null, // Cron time of the next start
+    nextRunAt: null, // scheduledFor plus jitter
+    run: null, // Run in progress
+    queued: false,
+  }));
+  const queue = [];
+  const runningKeys = new Set(); // Searches with a run in progress, by searchSignature
+  let timer = null;
+  let stopping = false;
+  let onIdle = null; // Resolves stop() once the last run has ended
+
+  const describe = entry => `"${entry.search.query}" in "${entry.search.location}"${entry.search.experience ? ` (Exp: ${entry.search.experience})` : ""}`;
+  const runningCount = () => entries.filter(entry => entry.run).length;
+  // Entries of the same search share one checkpoint file, so only one of them may run or wait
+  const searchBusy = entry => runningKeys.has(entry.key) || queue.some(queued => queued.key === entry.key);
+
+  function planNext(entry, after) {
+    entry.scheduledFor = nextCronTime(entry.cron, after);
+    entry.nextRunAt = new Date(entry.scheduledFor.getTime() + random() * entry.jitterMinutes * 60 * 1000);
+  }
+
+  function record(entry, details) {
+    appendScheduleHistory(historyFile, {
+      search: entry.key,
+      query: entry.search.query,
+      location: entry.search.location,
+      experience: entry.search.experience,
+      schedule: entry.schedule,
+      scheduledFor: entry.scheduledFor,
+      ...details,
+    });
+  }
+
+  function startEntry(entry) {
+    const startedAt = new Date();
+    console.log(`Starting scheduled run of ${describe(entry)}`);
+    const run = launchRun(entry);
+    entry.run = run;
+    runningKeys.add(entry.key);
+
+    let timedOut = false;
+    const timeout = entry.timeoutMinutes > 0
+      ? setTimeout(() => {
+        timedOut = true;
+        console.warn(`Run of ${describe(entry)} exceeded ${entry.timeoutMinutes} minutes, stopping it.`);
+        run.stop("SIGTERM");
+        setTimeout(() => run.stop("SIGKILL"), KILL_GRACE_MS).unref();
+      }, entry.timeoutMinutes * 60 * 1000)
+      : null;
+
+    run.done.then(({ exitCode, signal, output }) => {
+      clearTimeout(timeout);
+      entry.run = null;
+      runningKeys.delete(entry.key);
+      const finishedAt = new Date();
+      let status = "failed";
+      if (exitCode === 0) status = "completed";
+      else if (timedOut) status = "timed out";
+      else if (stopping) status = "stopped";
+      const durationMs = finishedAt - startedAt;
+      console.log(`Run of ${describe(entry)} ${status} after ${Math.round(durationMs / 1000)}s (exit code ${exitCode}${signal ? `, ${signal}` : ""}).`);
+      record(entry, {
+        status,
+        startedAt,
+        finishedAt,
+        durationMs,
+        exitCode,
+        signal,
+        error: status === "completed" ? null : output.trim() || null,
+      });
+      if (stopping) {
+        if (runningCount() === 0 && onIdle) onIdle();
+        return;
+      }
+      startQueued();
+    });
+  }
+
+  function startQueued() {
+    while (queue.length > 0 && runningCount() < maxConcurrentRuns) {
+      const entry = queue.shift();
+      entry.queued = false;
+      startEntry(entry);
+    }
+  }
+
+  function tick() {
+    const now = new Date();
+    for (const entry of entries) {
+      if (entry.nextRunAt > now) continue;
+      if (entry.run || entry.queued || searchBusy(entry)) {
+        let reason = "another schedule of the same search is running or waiting";
+        if (entry.run) reason = "the previous run has not finished";
+        else if (entry.queued) reason = "the previous start is still waiting for a free slot";
+        console.warn(`Skipping scheduled run of ${describe(entry)}: ${reason}.`);
+        record(entry, { status: "skipped", startedAt: null, finishedAt: null, durationMs: 0, exitCode: null, signal: null, error: reason });
+      } else {
+        queue.push(entry);
+        entry.queued = true;
+      }
+      // Plan from now, so start times missed while the machine slept are not made up in a burst
+      planNext(entry, now);
+    }
+    startQueued();
+    armTimer();
+  }
+
+  function armTimer() {
+    if (stopping) return;
+    const earliest = Math.min(...entries.map(entry => entry.nextRunAt.getTime()));
+    timer = setTimeout(tick, Math.min(MAX_TIMER_MS, Math.max(0, earliest - Date.now())));
+  }
+
+  return {
+    start() {
+      const now = new Date();
+      for (const entry of entries) {
+        planNext(entry, now);
+        console.log(`Scheduled ${describe(entry)} with "${entry.schedule}", next run at ${entry.nextRunAt.toISOString()}`);
+      }
+      armTimer();
+    },
+
+    /**
+     * Stops scheduling and stops the runs in progress.
+     * @returns {Promise<void>} - Resolves once every run has ended.
+     */
+    stop() {
+      stopping = true;
+      clearTimeout(timer);
+      queue.splice(0).forEach(entry => {
+        entry.queued = false;
+      });
+      const running = entries.filter(entry => entry.run);
+      if (running.length === 0) return Promise.resolve();
+      console.log(`Stopping ${running.length} run(s) in progress...`);
+      const idle = new Promise(resolve => {
+        onIdle = resolve;
+      });
+      for (const entry of running) {
+        entry.run.stop("SIGTERM");
+        setTimeout(() => entry.run && entry.run.stop("SIGKILL"), KILL_GRACE_MS).unref();
+      }
+      return idle;
+    },
+
+    status() {
+      return entries.map(entry => ({
+        search: entry.key,
+        schedule: entry.schedule,
+        nextRunAt: entry.nextRunAt,
+        running: Boolean(entry.run),
+        queued: entry.queued,
+      }));
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE_HISTORY_FILE,
+  scraperArgs,
+  spawnScraperRun,
+  loadScheduleHistory,
+  appendScheduleHistory,
+  createScheduler,
+};
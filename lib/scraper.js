@@ -0,0 +1,1143 @@
+const {
+  By,
+  until,
+  error: WebDriverError,
+} = require("selenium-webdriver");
+const fs = require("fs");
+const {
+  SHORT_WAIT,
+  SLEEP_INTERVAL,
+  LONG_SLEEP_INTERVAL,
+  NAUKRI_BASE_URL,
+  resolveOptions,
+  pickSearchOptions,
+  sanitizeForFilename,
+} = require("./config");
+const {
+  safeFindElement,
+  safeFindElements,
+  safeGetAttribute,
+  takeScreenshot,
+} = require("./webdriverHelpers");
+const { initializeDriver, loginToNaukri, saveCookies, establishSession } = require("./browser");
+const { createJobStore } = require("./stores");
+const { createJsonStore } = require("./stores/jsonStore");
+const { extractJobCard, extractJobDetails } = require("./extractors");
+const { loadSelectors } = require("./selectors");
+const { deriveJobFields, jobKey } = require("./jobFields");
+const { createSearchProgress, loadCheckpoint, saveCheckpoint, clearCheckpoint } = require("./checkpoint");
+const { startRun, updateRunProgress, finishRun } = require("./runs");
+const { notifyNewJobs } = require("./notifications");
+const {
+  DEFAULT_STATS_COLLECTION,
+  createSelectorStats,
+  recordMatches,
+  buildRunStatsRecord,
+  buildDriftReport,
+  loadRecentRunStats,
+  saveRunStats,
+} = require("./telemetry");
+
+// --- Search Page Helpers ---
+
+/**
+ * Builds the search URL for a given results page.
+ * @param {Object} opts - Resolved scrape options.
+ * @param {number} page - 1-based page number.
+ * @returns {string} - The URL of the results page.
+ */
+function buildSearchUrl(opts, page) {
+  // Format query and location for URL
+  const formattedQuery = opts.query.toLowerCase().replace(/\s+/g, "-");
+  const formattedLocation = opts.location.toLowerCase().replace(/\s+/g, "-");
+  // Construct base search URL - include experience if specified
+  let searchUrlBase = `${NAUKRI_BASE_URL}/${formattedQuery}-jobs-in-${formattedLocation}`;
+  let searchUrlParams = "";
+  if (opts.experience && opts.experience !== "0") { // Only add experience if it's not 0
+    searchUrlBase += `?experience=${opts.experience}`;
+    searchUrlParams = "&"; // Use '&' if experience is present
+  } else {
+    searchUrlParams = "?"; // Use '?' if experience is not present
+  }
+  return `${searchUrlBase}${page > 1 ? `${searchUrlParams}pageNo=${page}` : ""}`;
+}
+
+/**
+ * Locates the job cards on the currently loaded results page.
+ * @param {import('selenium-webdriver').WebDriver} driver - The Selenium WebDriver instance.
+ * @param {number} page - Current page number, used for logging and end-of-results decisions.
+ * @param {Object} selectors - The registry's "search" group.
+ * @returns {Promise<{jobCards: import('selenium-webdriver').WebElement[], endOfResults: boolean}>}
+ * @throws {Error} - If a CAPTCHA is detected on the results page.
+ */
+async function findJobCards(driver, page, selectors) {
+  // --- Locating Job List Container ---
+  let jobListContainerElement = null;
+  for (const containerSelector of selectors.container) {
+    try {
+      console.log(`Trying to locate job list container using: ${containerSelector}`);
+      // Wait briefly for the container to appear
+      jobListContainerElement = await driver.wait(
+        until.elementLocated(By.css(containerSelector)),
+        SHORT_WAIT
+      );
+      console.log(`Job list container found using: ${containerSelector}`);
+      break; // If found, exit loop
+    } catch (e) {
+      if (!(e instanceof WebDriverError.TimeoutError || e instanceof WebDriverError.NoSuchElementError)) {
+        console.warn(`Error checking container selector ${containerSelector}: ${e.message}`);
+      }
+      // Continue to next selector
+    }
+  }
+
+  if (!jobListContainerElement) {
+    console.warn("Could not find job list container with any known selector.");
+
+    // Fallback: Check if job cards exist directly under body (less likely but possible)
+    for (const cardSelector of selectors.directCard) {
+      try {
+        const anyJobCard = await driver.findElement(By.css(cardSelector));
+        if (anyJobCard) {
+          console.log(`Found job card with selector ${cardSelector} directly on page. Using document body as container.`);
+          jobListContainerElement = driver; // Use the driver (document root) as the container
+          break;
+        }
+      } catch (e) { } // Ignore if not found
+    }
+
+    if (!jobListContainerElement) {
+      console.error(`Could not find job listings container or any job cards on page ${page}. Structure might have changed or page didn't load correctly.`);
+      await takeScreenshot(driver, `page_${page}_no_elements_found.png`);
+
+      // Check for CAPTCHA or "No Results" message
+      const pageSource = await driver.getPageSource().catch(() => "");
+      if (pageSource.toLowerCase().includes("captcha")) {
+        console.error("CAPTCHA detected on results page! Stopping scraper.");
+        throw new Error("CAPTCHA challenge detected on results page");
+      }
+      if (pageSource.includes("No matching jobs found") || pageSource.includes("no jobs found")) {
+        console.log("Found 'No results' message. Likely end of search results.");
+        return { jobCards: [], endOfResults: true };
+      }
+
+      // If it's not the first page, assume end of results
+      if (page > 1) {
+        console.log("No jobs found on this page, assuming end of results.");
+        return { jobCards: [], endOfResults: true };
+      }
+      console.warn("No jobs found on the first page. Check search query/location or website status.");
+      // Continue to next page just in case it was a temporary glitch, but log the warning.
+      return { jobCards: [], endOfResults: false };
+    }
+  }
+
+  // --- Find Job Cards within the Container ---
+  let jobCards = [];
+  for (const cardSelector of selectors.card) {
+    // Use safeFindElements which returns [] on error/not found
+    const cards = await safeFindElements(jobListContainerElement, By.css(cardSelector));
+    if (cards.length > 0) {
+      jobCards = cards;
+      console.log(`Found ${cards.length} job cards using selector: ${cardSelector}`);
+      break; // Use the first selector that yields results
+    }
+  }
+
+  console.log(`Processing ${jobCards.length} job cards found on page ${page}.`);
+
+  if (jobCards.length === 0 && page > 1) {
+    console.log(`No job cards found on page ${page} after finding container. Assuming end of results.`);
+    return { jobCards, endOfResults: true }; // Stop if no jobs found on subsequent pages
+  }
+  if (jobCards.length === 0 && page === 1) {
+    console.warn(`No job cards found on the first page, even after finding a container. Check selectors or site structure.`);
+    // Check for "No Results" message again more specifically
+    try {
+      for (const nrSelector of selectors.noResults) {
+        const element = nrSelector.startsWith("//") ? await safeFindElement(driver, By.xpath(nrSelector)) : await safeFindElement(driver, By.css(nrSelector));
+        if (element && await element.isDisplayed()) {
+          console.log("Confirmed 'No results' message found on page 1.");
+          return { jobCards, endOfResults: true }; // Stop if no results on page 1
+        }
+      }
+    } catch (e) { }
+  }
+
+  return { jobCards, endOfResults: false };
+}
+
+// --- Job Card and Detail Page Helpers ---
+
+/**
+ * Determines whether the loaded job details page uses an external (company site) application.
+ * @param {import('selenium-webdriver').WebDriver} driver - Driver focused on the details page.
+ * @param {Object} selectors - The registry's "detail" group.
+ * @returns {Promise<string>} - "External" or "Internal".
+ */
+async function detectApplicationType(driver, selectors) {
+  let applicationType = "Internal"; // Assume internal unless proven otherwise
+  // 1. Check for specific "Apply on Company Site" buttons
+  try {
+    for (const selector of selectors.externalApply) {
+      let elements = [];
+      try {
+        if (selector.startsWith("//")) {
+          elements = await driver.findElements(By.xpath(selector));
+        } else {
+          elements = await driver.findElements(By.css(selector));
+        }
+
+        for (const btn of elements) {
+          if (await btn.isDisplayed()) {
+            applicationType = "External";
+            console.log(`  → External application detected (Button selector: ${selector})`);
+            break; // Found external button
+          }
+        }
+      } catch (e) { /* Ignore selector not found */ }
+      if (applicationType === "External") break; // Stop checking if found
+    }
+  } catch (e) {
+    console.warn(`Error checking for external apply buttons: ${e.message}`);
+  }
+
+  // 2. Check if the standard "Apply" button is missing (might indicate external)
+  if (applicationType === "Internal") {
+    try {
+      let applyButtonFound = false;
+      for (const selector of selectors.apply) {
+        let element = null;
+        try {
+          if (selector.startsWith("//")) {
+            element = await driver.findElement(By.xpath(selector));
+          } else {
+            element = await driver.findElement(By.css(selector));
+          }
+          if (element && await element.isDisplayed()) {
+            applyButtonFound = true;
+            break;
+          }
+        } catch (e) {} // Ignore not found
+      }
+      if (!applyButtonFound) {
+        // If no standard apply button, but we didn't find an explicit external one,
+        // it's ambiguous. Keep as Internal for now, but log warning.
+        console.warn("  Could not find standard 'Apply' button, but no explicit 'External Apply' button either. Assuming Internal (ambiguous).");
+      }
+    } catch (e) {
+      console.warn(`Error checking for standard apply button: ${e.message}`);
+    }
+  }
+
+  return applicationType;
+}
+
+/**
+ * Returns the values a job keeps when its details page cannot be read: the card's
+ * description snippet and skills, and the default application type.
+ * @param {Object} job - Card fields from extractJobCard.
+ * @returns {Object} - Same shape as a readJobDetailsTab result.
+ */
+function cardOnlyDetails(job) {
+  return {
+    jobDescription: job.jobDescription,
+    skills: job.skills,
+    applicationType: "Internal",
+    posted: null,
+    openings: null,
+    applicants: null,
+    matchedSelectors: null,
+  };
+}
+
+/**
+ * Opens a URL in a new background tab without switching to it.
+ * @param {import('selenium-webdriver').WebDriver} driver - The Selenium WebDriver instance.
+ * @param {string} url - Page to open.
+ * @returns {Promise<string>} - Handle of the new tab.
+ * @throws {Error} - If no new tab appeared.
+ */
+async function openDetailsTab(driver, url) {
+  const existingWindows = await driver.getAllWindowHandles();
+  await driver.executeScript("window.open(arguments[0], '_blank');", url);
+  const allWindows = await driver.getAllWindowHandles();
+  const newWindowHandle = allWindows.find(handle => !existingWindows.includes(handle));
+  if (!newWindowHandle) {
+    throw new Error("Could not find new window handle after opening link.");
+  }
+  return newWindowHandle;
+}
+
+/**
+ * Switches to an opened job details tab and extracts the full description,
+ * key skills, posting stats and application type, then closes the tab again.
+ * @param {import('selenium-webdriver').WebDriver} driver - The Selenium WebDriver instance.
+ * @param {string} tabHandle - Handle of the details tab.
+ * @param {string} originalWindow - Handle of the results tab to return to.
+ * @param {Object} job - Card fields from extractJobCard (jobUrl, jobTitle, jobDescription, skills, skillsList).
+ * @param {string} screenshotName - File name used if detail scraping fails.
+ * @param {Object} selectors - The registry's "detail" group.
+ * @returns {Promise<{jobDescription: string, skills: string, applicationType: string,
+ *   posted: string|null, openings: string|null, applicants: string|null,
+ *   matchedSelectors: Object<string, string|null>|null}>} - matchedSelectors is null if the page was never read.
+ * @throws {Error} - If the driver cannot switch back to the results tab.
+ */
+async function readJobDetailsTab(driver, tabHandle, originalWindow, job, screenshotName, selectors) {
+  const details = cardOnlyDetails(job);
+  let newWindowHandle = tabHandle;
+
+  try {
+    await driver.switchTo().window(newWindowHandle);
+    console.log(`  Reading details page of ${job.jobTitle}...`);
+
+    // --- Extract Details from Job Page ---
+    try {
+      // Wait briefly for any known description container before reading the page source
+      await driver.wait(
+        until.elementLocated(By.css(selectors.description.join(", "))),
+        SHORT_WAIT
+      );
+    } catch (e) { } // Ignore timeout, extract whatever has loaded
+    const pageDetails = extractJobDetails(await driver.getPageSource(), selectors);
+    details.matchedSelectors = pageDetails.matchedSelectors;
+    details.posted = pageDetails.posted;
+    details.openings = pageDetails.openings;
+    details.applicants = pageDetails.applicants;
+
+    // Use detailed text if it's significantly longer than the snippet
+    if (pageDetails.jobDescription && pageDetails.jobDescription.length > details.jobDescription.length + 20) {
+      details.jobDescription = pageDetails.jobDescription;
+      console.log("  Found detailed job description on job page.");
+    }
+    // Use detailed skills if we found more than the card listed
+    if (pageDetails.skillsList.length > job.skillsList.length) {
+      details.skills = pageDetails.skills;
+      console.log("  Found detailed skills on job page.");
+    }
+
+    // --- Check Application Type (More Robustly on Details Page) ---
+    details.applicationType = await detectApplicationType(driver, selectors);
+    console.log(`  Final Application Type: ${details.applicationType}`);
+
+  } catch (detailError) {
+    console.error(
+      `  Error scraping details for ${job.jobTitle}: ${detailError.message}`
+    );
+    if (detailError instanceof WebDriverError.TimeoutError) {
+      details.jobDescription = "Details page did not load correctly or structure changed.";
+    } else if (detailError.message.includes("no such window")) {
+      console.error("  Browser window closed unexpectedly during detail scraping.");
+      // No need to close tab if it's already gone
+      newWindowHandle = null; // Mark handle as invalid
+    }
+    await takeScreenshot(driver, screenshotName);
+  } finally {
+    // Close the details tab and switch back, only if the handle is valid
+    if (newWindowHandle) {
+      try {
+        await driver.close();
+      } catch (closeError) {
+        console.warn(`  Warning: Could not close job detail tab: ${closeError.message}`);
+      }
+    }
+    // Always switch back to the original window
+    try {
+      await driver.switchTo().window(originalWindow);
+    } catch (switchError) {
+      console.error(`  FATAL: Could not switch back to original window: ${switchError.message}. Aborting page processing.`);
+      throw new Error("Failed to switch back to main window");
+    }
+    await driver.sleep(500); // Pause after switching back
+  }
+
+  return details;
+}
+
+/**
+ * Fetches the details pages of several jobs at once. All pages are opened in background tabs,
+ * detailDelayMs apart, and load in parallel during a single wait; they are then read one by one.
+ * Call it with at most detailConcurrency jobs to bound the number of open tabs.
+ * @param {import('selenium-webdriver').WebDriver} driver - The Selenium WebDriver instance.
+ * @param {Object[]} jobs - Card fields from extractJobCard.
+ * @param {string[]} screenshotNames - File name per job used if its detail scraping fails.
+ * @param {Object} selectors - The registry's "detail" group.
+ * @param {number} detailDelayMs - Politeness delay between opening two pages.
+ * @returns {Promise<Object[]>} - One readJobDetailsTab result per job, in the same order.
+ * @throws {Error} - If the driver cannot switch back to the results tab.
+ */
+async function scrapeJobDetails(driver, jobs, screenshotNames, selectors, detailDelayMs) {
+  const originalWindow = await driver.getWindowHandle();
+  const tabHandles = [];
+
+  console.log(`  Opening ${jobs.length} job details page(s) in new tabs...`);
+  for (let i = 0; i < jobs.length; i++) {
+    if (i > 0) await driver.sleep(detailDelayMs);
+    try {
+      tabHandles.push(await openDetailsTab(driver, jobs[i].jobUrl));
+    } catch (openError) {
+      console.error(`  Error opening details page for ${jobs[i].jobTitle}: ${openError.message}`);
+      tabHandles.push(null);
+    }
+  }
+  await driver.sleep(LONG_SLEEP_INTERVAL); // Wait for the details pages to load
+
+  const results = [];
+  for (let i = 0; i < jobs.length; i++) {
+    results.push(
+      tabHandles[i]
+        ? await readJobDetailsTab(driver, tabHandles[i], originalWindow, jobs[i], screenshotNames[i], selectors)
+        : cardOnlyDetails(jobs[i])
+    );
+  }
+  return results;
+}
+
+// --- Persistence ---
+
+/**
+ * Upserts the jobs a search collected since its last successful write to the job store and
+ * records the write on the search summary. Called after every results page, so other tools see new
+ * jobs while a run is still going, and once more at the end for anything left over.
+ * Errors are logged and recorded, never thrown; jobs that failed to save are retried by the next call.
+ * @param {Object} session - Run state from scrapeSearches; session.store is null when no storage type is set.
+ * @param {Object} progress - The search's checkpoint record; savedCount counts its jobs already written.
+ * @param {Object} searchSummary - Search summary whose pageWrites gets the outcome.
+ * @param {number|null} page - Results page the jobs came from, null for the final write.
+ */
+async function savePendingJobs(session, progress, searchSummary, page) {
+  if (!session.store) return;
+  const pending = progress.jobs.slice(progress.savedCount || 0);
+  if (pending.length === 0) return;
+
+  const label = page === null ? "the remaining jobs" : `page ${page}`;
+  console.log(`\nSaving ${pending.length} new jobs from ${label} to ${session.store.description}...`);
+  const write = { page, jobs: pending.length };
+  try {
+    Object.assign(write, await session.store.upsertJobs(pending));
+    progress.savedCount = progress.jobs.length;
+  } catch (dbError) {
+    console.error(`Error saving jobs from ${label} to ${session.store.description}: ${dbError.message}`);
+    console.error(dbError.stack);
+    write.error = dbError.message;
+  }
+  searchSummary.pageWrites.push(write);
+}
+
+/**
+ * Adds up the job store writes of all searches.
+ * @param {Object[]} searchSummaries - Search summaries with their pageWrites.
+ * @returns {{writes: number, matched: number, upserted: number, changed: number, writeErrors: number, error: string|null}}
+ *   - error is the message of the last failed write, null when all succeeded.
+ */
+function totalStoreWrites(searchSummaries) {
+  const totals = { writes: 0, matched: 0, upserted: 0, changed: 0, writeErrors: 0, error: null };
+  for (const write of searchSummaries.flatMap(search => search.pageWrites)) {
+    totals.writes++;
+    totals.matched += write.matched || 0;
+    totals.upserted += write.upserted || 0;
+    totals.changed += write.changed || 0;
+    totals.writeErrors += write.writeErrors || 0;
+    if (write.error) totals.error = write.error;
+  }
+  return totals;
+}
+
+/**
+ * Merges the run's new jobs into the JSON backup file, if one is configured, and records it on
+ * the summary. Jobs from earlier runs are kept; the file is handled like a JSON job store, so
+ * jobs are merged by key with firstScraped/lastUpdated and the file is replaced atomically.
+ * Errors are logged, never thrown; an unreadable file is left untouched.
+ * @param {Object} opts - Resolved scrape options.
+ * @param {Object[]} jobs - Jobs to write.
+ * @param {Object} summary - Run summary to update.
+ */
+async function saveJobsFile(opts, jobs, summary) {
+  if (!opts.storage.outputFile) return;
+  try {
+    const backup = createJsonStore(opts.storage.outputFile);
+    await backup.open();
+    await backup.upsertJobs(jobs);
+    await backup.close();
+    summary.outputFile = opts.storage.outputFile;
+  } catch (jsonError) {
+    console.error(`Error saving JSON backup file (${opts.storage.outputFile}): ${jsonError.message}`);
+  }
+}
+
+// --- Selector Telemetry ---
+
+/**
+ * Stores this run's selector stats, compares them with earlier runs and logs any drift.
+ * Uses the MongoDB run-stats collection when MongoDB is configured, else the run-stats file.
+ * Failures are logged and never affect the scrape result.
+ * @param {Object} opts - Resolved scrape options.
+ * @param {import('mongodb').MongoClient|null} mongoClient - Connected client, or null.
+ * @param {Object} selectorStats - Tracker filled during the run.
+ * @param {Object} selectors - Selector registry used for the run.
+ * @param {Object} summary - Run summary to update with drift warnings.
+ * @param {Object} context - What was searched, stored alongside the stats.
+ */
+async function recordSelectorTelemetry(opts, mongoClient, selectorStats, selectors, summary, context) {
+  const store = {};
+  if (mongoClient) {
+    store.collection = mongoClient
+      .db(opts.storage.mongo.dbName)
+      .collection(opts.storage.mongo.statsCollection || DEFAULT_STATS_COLLECTION);
+  } else if (opts.storage.runStatsFile) {
+    store.file = opts.storage.runStatsFile;
+  }
+
+  try {
+    const record = buildRunStatsRecord(selectorStats, selectors, context);
+    const previousRuns = await loadRecentRunStats(store);
+    summary.selectorDrift = buildDriftReport(record, previousRuns);
+    if (summary.selectorDrift.length > 0) {
+      console.warn("Selector drift detected compared with earlier runs:");
+      summary.selectorDrift.forEach(warning => console.warn(`  - ${warning}`));
+    } else {
+      console.log("No selector drift detected.");
+    }
+    await saveRunStats(store, record);
+  } catch (statsError) {
+    console.warn(`Could not record selector telemetry: ${statsError.message}`);
+  }
+}
+
+// --- Search Loop ---
+
+/**
+ * Creates the summary of one search, filled in by runSearch.
+ * @param {Object} opts - Resolved options of the search.
+ * @returns {Object}
+ */
+function createSearchSummary(opts) {
+  return {
+    query: opts.query,
+    location: opts.location,
+    experience: opts.experience,
+    internalLimit: opts.internalLimit,
+    externalLimit: opts.externalLimit,
+    maxPages: opts.maxPages,
+    startedAt: null,
+    finishedAt: null,
+    pagesScraped: 0,
+    internalCount: 0,
+    externalCount: 0,
+    newJobsCount: 0,
+    resumedFromPage: null, // Page the search continued from when resumed from a checkpoint
+    pageWrites: [], // One entry per job store write: { page, jobs, matched, upserted, changed, writeErrors, error? }
+    error: null,
+  };
+}
+
+/**
+ * Runs one search through its result pages in the session's browser and collects new jobs
+ * within the search's limits. Jobs the session already knows are skipped and remembered as relisted.
+ * Fatal errors are recorded on the search summary and mark the session as aborted.
+ * Progress is checkpointed after every page; a search resumed from a checkpoint continues
+ * at the saved page with the saved jobs and counters.
+ * @param {Object} session - Browser and dedup state shared by all searches of a run, see scrapeSearches.
+ * @param {Object} opts - Resolved options of this search.
+ * @param {Object} summary - Search summary from createSearchSummary, updated in place.
+ * @param {Object} progress - The search's checkpoint record, see createSearchProgress.
+ * @returns {Promise<Object[]>} - New jobs collected by this search, including partial results after a fatal error.
+ */
+async function runSearch(session, opts, summary, progress) {
+  const { selectors, selectorStats, seenJobKeys, relistedJobs } = session;
+  let driver = session.driver;
+  const jobsToSave = progress.jobs; // Shared with the checkpoint, holds jobs from before a resume
+  let internalCount = progress.internalCount;
+  let externalCount = progress.externalCount;
+  let page = progress.nextPage;
+  const screenshotPrefix = sanitizeForFilename(opts.query);
+  summary.startedAt = new Date();
+  summary.pagesScraped = progress.pagesScraped;
+  if (page > 1) summary.resumedFromPage = page;
+
+  // Records where the search stands, so a resume continues from the current page
+  const checkpoint = () => {
+    Object.assign(progress, { nextPage: page, pagesScraped: summary.pagesScraped, internalCount, externalCount });
+    session.saveProgress();
+  };
+
+  const limitsReached = () =>
+    internalCount >= opts.internalLimit && externalCount >= opts.externalLimit;
+
+  try {
+    console.log(`\nStarting scrape for query "${opts.query}" in location "${opts.location}" (Exp: ${opts.experience})`);
+    console.log(`Limits: Internal=${opts.internalLimit}, External=${opts.externalLimit}, MaxPages=${opts.maxPages}`);
+    if (page > 1) {
+      console.log(`Resuming from page ${page} with ${jobsToSave.length} jobs collected before the interruption.`);
+    }
+
+    // --- Search Phase ---
+    console.log("\n--- Job Search Phase ---");
+
+    // --- Scraping Loop ---
+    while (page <= opts.maxPages && !session.stopped) {
+      if (limitsReached()) {
+        console.log(`Reached job limits (Internal: ${internalCount}, External: ${externalCount}). Stopping search.`);
+        break;
+      }
+
+      const currentPageUrl = buildSearchUrl(opts, page);
+      console.log(`\n--- Scraping Page ${page}/${opts.maxPages} ---`);
+      console.log(`Navigating to: ${currentPageUrl}`);
+
+      try {
+        await driver.get(currentPageUrl);
+        // Increased wait time for dynamic content loading, especially on results pages
+        await driver.sleep(LONG_SLEEP_INTERVAL + SLEEP_INTERVAL);
+        summary.pagesScraped++;
+
+        const { jobCards, endOfResults } = await findJobCards(driver, page, selectors.search);
+        if (endOfResults) break;
+
+        // --- Read Each Job Card ---
+        const newJobs = []; // Cards not seen before, in page order
+        const pageJobKeys = new Set(); // Guards against a job listed twice on the same page
+        for (let i = 0; i < jobCards.length; i++) {
+          const card = jobCards[i];
+          let jobTitle = "Not available";
+
+          try {
+            // Scroll the card into view slightly before interacting
+            // Use JS scrollIntoView for reliability
+            await driver.executeScript(
+              "arguments[0].scrollIntoView({ behavior: 'auto', block: 'center' });",
+              card
+            );
+            await driver.sleep(200); // Brief pause after scroll
+
+            // --- Extract Basic Info from Card ---
+            const cardHtml = await safeGetAttribute(card, "outerHTML", "");
+            const cardDetails = extractJobCard(cardHtml, {
+              defaultLocation: opts.location,
+              selectors: selectors.card,
+            });
+            recordMatches(selectorStats, "card", cardDetails.matchedSelectors);
+            jobTitle = cardDetails.jobTitle;
+            const jobUrl = cardDetails.jobUrl;
+            const jobId = cardDetails.jobId;
+            const key = jobKey({ jobId, "Job URL": jobUrl });
+
+            // --- Duplicate Check ---
+            if (!jobUrl) {
+              console.warn(`Skipping card ${i + 1} on page ${page}: Could not extract Job URL. Title: ${jobTitle}`);
+              continue; // Skip this card if URL is missing
+            }
+            if (!jobId) {
+              console.warn(`  No job ID found in URL, falling back to the URL as key: ${jobUrl}`);
+            }
+            if (seenJobKeys.has(key)) {
+              console.log(`Skipping duplicate job (ID already seen): ${jobTitle} (${key})`);
+              relistedJobs.set(key, { jobId, "Job URL": jobUrl }); // Still listed, so still open
+              continue; // Skip if job already processed or in DB
+            }
+            if (pageJobKeys.has(key)) {
+              console.log(`Skipping duplicate job (listed twice on this page): ${jobTitle} (${key})`);
+              continue;
+            }
+            pageJobKeys.add(key);
+
+            // If we reach here, it's potentially a new job URL
+            console.log(`\nFound NEW Job ${i + 1}/${jobCards.length} (Page ${page}): ${jobTitle}`);
+            console.log(`  Job ID: ${jobId || "none"}`);
+            console.log(`  URL: ${jobUrl}`);
+            console.log(`  Company: ${cardDetails.companyName}`);
+            console.log(`  Location: ${cardDetails.location}`);
+            console.log(`  Experience: ${cardDetails.experience}`);
+            console.log(`  Salary: ${cardDetails.salary}`);
+            console.log(`  Skills (from card): ${cardDetails.skills}`);
+            console.log(`  Posted: ${cardDetails.posted || "Not available"}`);
+            newJobs.push({ index: i, key, cardDetails });
+
+          } catch (cardError) {
+            console.error(
+              `Error processing job card ${i + 1} on page ${page}: ${cardError.message}`
+            );
+            console.error(cardError.stack); // Log stack for card errors
+            // Attempt to recover by continuing to the next card
+            if (
+              cardError instanceof WebDriverError.StaleElementReferenceError
+            ) {
+              console.warn(
+                "  Encountered stale element processing card, trying to continue to next card."
+              );
+            }
+            await takeScreenshot(driver, `card_error_${screenshotPrefix}_${page}_${i}.png`);
+          }
+        } // --- End of job card loop ---
+
+        // --- Fetch Details Pages, detailConcurrency at a time ---
+        let processedOnPage = 0;
+        for (let start = 0; start < newJobs.length; start += opts.detailConcurrency) {
+          // Check limits before fetching each batch
+          if (limitsReached()) {
+            console.log("Reached job limits. Skipping remaining cards on this page.");
+            break; // Stop processing cards on this page
+          }
+
+          const batch = newJobs.slice(start, start + opts.detailConcurrency);
+          let batchDetails;
+          try {
+            batchDetails = await scrapeJobDetails(
+              driver,
+              batch.map(job => job.cardDetails),
+              batch.map(job => `detail_error_${screenshotPrefix}_${job.index}.png`),
+              selectors.detail,
+              opts.detailDelayMs
+            );
+          } catch (detailError) {
+            if (!detailError.message.includes("Failed to switch back")) throw detailError;
+            // If switching back failed, stop processing this page
+            console.error("  Aborting processing for this page due to window switch failure.");
+            break;
+          }
+
+          // --- Apply Limits in Page Order ---
+          for (let j = 0; j < batch.length; j++) {
+            const { key, cardDetails } = batch[j];
+            const details = batchDetails[j];
+            const jobTitle = cardDetails.jobTitle;
+            const applicationType = details.applicationType;
+            processedOnPage++;
+            if (details.matchedSelectors) {
+              recordMatches(selectorStats, "detail", details.matchedSelectors);
+            }
+
+            // --- Prepare Job Data for Saving ---
+            const jobData = {
+              "Job Title": jobTitle,
+              "Company Name": cardDetails.companyName,
+              "Location": cardDetails.location, // Use the determined location
+              "Experience Required": cardDetails.experience,
+              "Salary": cardDetails.salary,
+              "Application Type": applicationType, // Use the determined type
+              "Job URL": cardDetails.jobUrl,
+              jobId: cardDetails.jobId, // Primary key, stable across slug and tracking-parameter changes
+              "Scraped Date": new Date(), // Use Date object for MongoDB
+              "Skills": details.skills || "Not available", // Ensure fallback
+              "Job Description": details.jobDescription || "Not available", // Ensure fallback
+              "Posted": details.posted || cardDetails.posted || "Not available", // Relative age, e.g. "3 Days Ago"
+              "Openings": details.openings || "Not available",
+              "Applicants": details.applicants || "Not available",
+              "Search Query": opts.query, // Add search context
+              "Search Location": opts.location, // Add search context
+              "Search Experience": opts.experience, // Add search context
+              lastSeen: new Date(), // Last time the job was listed or found open
+              status: "active",
+              closedAt: null,
+              // Add lastUpdated later during bulk write
+            };
+            Object.assign(jobData, deriveJobFields(jobData)); // Structured copies of the displayed values
+
+            // --- Add Job to Save List (based on type and limit) ---
+            if (
+              applicationType === "Internal" &&
+              internalCount < opts.internalLimit
+            ) {
+              jobsToSave.push(jobData);
+              seenJobKeys.add(key); // Mark job as scraped *only when adding*
+              internalCount++;
+              console.log(
+                `  Added INTERNAL job (${internalCount}/${opts.internalLimit}) to save list: ${jobTitle}`
+              );
+            } else if (
+              applicationType === "External" &&
+              externalCount < opts.externalLimit
+            ) {
+              jobsToSave.push(jobData);
+              seenJobKeys.add(key); // Mark job as scraped *only when adding*
+              externalCount++;
+              console.log(
+                `  Added EXTERNAL job (${externalCount}/${opts.externalLimit}) to save list: ${jobTitle}`
+              );
+            } else {
+              console.log(
+                `  Skipping storing job ${jobTitle} - Limits reached for type ${applicationType} (Internal: ${internalCount}/${opts.internalLimit}, External: ${externalCount}/${opts.externalLimit}).`
+              );
+            }
+          }
+          await driver.sleep(300 + Math.random() * 400); // Small random delay between batches
+        } // --- End of details loop ---
+
+        console.log(`Finished processing ${processedOnPage} new job cards on page ${page}.`);
+
+      } catch (pageError) {
+        if (session.stopped) throw pageError; // The browser was quit on purpose, do not reinitialize it
+        console.error(`Error processing page ${page}: ${pageError.message}`);
+        console.error(pageError.stack); // Log stack trace for page errors
+
+        if (pageError instanceof WebDriverError.TimeoutError) {
+          console.error(
+            "  Timeout waiting for elements on page. Check selectors, network speed, or if page structure changed."
+          );
+        } else if (
+          pageError.message.includes("session") ||
+          pageError.message.includes("crashed") ||
+          pageError.message.includes("disconnected") ||
+          pageError.message.includes("target closed")
+        ) {
+          console.error(
+            "Session lost or browser crashed! Attempting to reinitialize..."
+          );
+          // Try to quit existing driver cleanly
+          if (driver) {
+            try { await driver.quit(); } catch (qErr) { console.warn("Error quitting old driver:", qErr.message); }
+            driver = session.driver = null; // Ensure driver is nullified
+          }
+          // Re-initialize
+          try {
+            driver = session.driver = await initializeDriver();
+            // Re-login might be necessary here if cookies aren't sufficient
+            console.log("Reinitialized driver. Attempting to re-login...");
+            const isLoggedIn = await loginToNaukri(driver, opts.email, opts.password);
+            if (isLoggedIn) {
+              await saveCookies(driver, opts.cookiesFile);
+              console.log("Re-login successful after reinitialization.");
+            } else {
+              console.warn("Re-login failed after reinitialization. Continuing without login.");
+            }
+            console.log("Continuing scrape from the *next* page.");
+            await savePendingJobs(session, progress, summary, page);
+            page++; // Increment page to avoid retrying the same failed page immediately
+            checkpoint();
+            continue; // Skip to the next iteration of the while loop
+          } catch (reinitError) {
+            console.error(
+              `FATAL: Failed to reinitialize driver after crash: ${reinitError.message}`
+            );
+            throw reinitError; // Propagate fatal error
+          }
+        } else if (pageError.message.includes("CAPTCHA")) {
+          console.error("CAPTCHA detected during page processing. Stopping scraper.");
+          summary.error = pageError.message;
+          session.aborted = true; // Later searches in the session would hit the same challenge
+          break; // Stop the outer loop
+        }
+
+        await takeScreenshot(driver, `page_${page}_general_error_screenshot.png`);
+      }
+
+      // Save this page's jobs, then move to the next page
+      await savePendingJobs(session, progress, summary, page);
+      page++;
+      checkpoint();
+      // Wait a bit longer between pages
+      await driver.sleep(SLEEP_INTERVAL + Math.random() * 1000);
+    } // --- End of page loop ---
+
+    progress.done = !session.aborted; // A CAPTCHA leaves the search to be resumed
+    checkpoint();
+    console.log(`\nSearch "${opts.query}" in "${opts.location}" collected ${internalCount} internal and ${externalCount} external new jobs.`);
+  } catch (error) {
+    console.error(`\n--- FATAL SCRAPER ERROR ---`);
+    console.error(`Error: ${error.message}`);
+    console.error(error.stack); // Print stack trace for better debugging
+    summary.error = session.stopped ? session.stopReason : error.message;
+    session.aborted = true;
+    checkpoint();
+  }
+
+  summary.finishedAt = new Date();
+  summary.internalCount = internalCount;
+  summary.externalCount = externalCount;
+  summary.newJobsCount = jobsToSave.length;
+  return jobsToSave;
+}
+
+// --- Main Scraper Functions ---
+
+/**
+ * Runs searches one after another in a single browser session: the job store, the browser and
+ * login are set up once and dedup is shared, so a job found by one search is not collected
+ * again by the next. New jobs are saved after every results page.
+ * A search that hits a CAPTCHA or a fatal error stops the remaining searches.
+ * With opts.checkpointFile set, progress is saved after every page and the file is removed
+ * once the run completes; opts.resume continues from that file.
+ * @param {Object} opts - Resolved options shared by all searches.
+ * @param {Object[]} searches - Resolved options of each search.
+ * @returns {Promise<{jobs: Object[], summary: Object}>} - New jobs and the run summary, with one entry per search in `searches`.
+ * @throws {Error} - If the checkpoint to resume from is unreadable or belongs to other searches.
+ */
+async function scrapeSearches(opts, searches) {
+  // Load selectors before touching the browser so a broken registry fails fast
+  const selectors = loadSelectors({
+    registryFile: opts.selectorsFile,
+    overridesFile: opts.selectorOverridesFile,
+  });
+  let restored = null;
+  if (opts.checkpointFile && opts.resume) {
+    restored = loadCheckpoint(opts.checkpointFile, searches);
+    console.log(restored
+      ? `Resuming from checkpoint ${opts.checkpointFile} saved at ${restored.savedAt.toISOString()}`
+      : `No checkpoint found at ${opts.checkpointFile}, starting from the beginning.`);
+  }
+  const context = searches.length === 1
+    ? { query: searches[0].query, location: searches[0].location, experience: searches[0].experience }
+    : { searches: searches.map(({ query, location, experience }) => ({ query, location, experience })) };
+  const session = {
+    driver: null,
+    selectors,
+    selectorStats: createSelectorStats(),
+    seenJobKeys: new Set(), // Keep track of scraped job IDs (from DB + current session)
+    relistedJobs: new Map(), // Known jobs that showed up in search results again, by key
+    aborted: false,
+    stopped: false, // Set when opts.signal is aborted
+    stopReason: null,
+    stopping: null, // Quit of the browser started by the stop
+    store: null, // Job store selected by opts.storage.type, see stores/index.js
+    runId: null, // Run record in MongoDB, see runs.js
+    progress: restored ? restored.searches : searches.map(createSearchProgress),
+    saveProgress: () => {
+      if (session.runId) {
+        // Not awaited so the heartbeat never slows the scrape; updateRunProgress does not throw
+        updateRunProgress(session.store.runsCollection, session.runId, {
+          pagesScraped: session.progress.reduce((sum, progress) => sum + progress.pagesScraped, 0),
+          newJobsCount: session.progress.reduce((sum, progress) => sum + progress.jobs.length, 0),
+          searchesDone: session.progress.filter(progress => progress.done).length,
+        });
+      }
+      if (!opts.checkpointFile) return;
+      try {
+        saveCheckpoint(opts.checkpointFile, session.progress);
+      } catch (checkpointError) {
+        console.warn(`Could not save checkpoint ${opts.checkpointFile}: ${checkpointError.message}`);
+      }
+    },
+  };
+  const jobsToSave = [];
+  const summary = {
+    selectorsVersion: selectors.version,
+    startedAt: new Date(),
+    finishedAt: null,
+    internalCount: 0,
+    externalCount: 0,
+    newJobsCount: 0,
+    knownJobCount: 0,
+    knownJobsSeen: 0,
+    storage: null,
+    outputFile: null,
+    notifications: [],
+    selectorDrift: [],
+    searches: searches.map(createSearchSummary),
+    resumedFrom: restored ? restored.savedAt : null,
+    checkpointFile: opts.checkpointFile,
+    error: null,
+  };
+
+  // A stop (SIGTERM from the scheduler, Ctrl+C) quits the browser, so the WebDriver call in
+  // progress fails and the run goes on to save its jobs, checkpoint and run record as usual
+  const stopRun = () => {
+    session.stopReason = opts.signal.reason instanceof Error ? opts.signal.reason.message : String(opts.signal.reason);
+    console.warn(`\nStop requested: ${session.stopReason}`);
+    session.stopped = true;
+    session.aborted = true;
+    if (session.driver) {
+      session.stopping = session.driver.quit().catch(quitError => console.warn(`Error quitting WebDriver: ${quitError.message}`));
+      session.driver = null;
+    }
+  };
+  const throwIfStopped = () => {
+    if (session.stopped) throw new Error(session.stopReason);
+  };
+  if (opts.signal) {
+    if (opts.signal.aborted) stopRun();
+    else opts.signal.addEventListener("abort", stopRun, { once: true });
+  }
+
+  try {
+    console.log(`Running ${searches.length} search(es) in one browser session.`);
+    console.log(`Selector registry version: ${selectors.version}`);
+
+    // --- Open Job Store ---
+    const store = createJobStore(opts.storage);
+    if (store) {
+      console.log(`Storage: ${store.description}`);
+      await store.open();
+      session.store = store;
+      if (store.runsCollection) {
+        session.runId = await startRun(store.runsCollection, { mode: "search", ...context });
+      }
+      // --- Load Existing Job IDs from Storage ---
+      await store.loadJobKeys(session.seenJobKeys);
+    }
+    // Jobs collected before a resume are not stored yet but must not be collected twice
+    session.progress.forEach(progress => progress.jobs.forEach(job => session.seenJobKeys.add(jobKey(job))));
+
+    // --- Initialize WebDriver ---
+    throwIfStopped();
+    session.driver = await initializeDriver();
+    throwIfStopped(); // A browser started during the stop is quit by the cleanup below
+
+    // --- Login Phase ---
+    await establishSession(session.driver, opts);
+
+    // --- Searches ---
+    for (let i = 0; i < searches.length; i++) {
+      const progress = session.progress[i];
+      if (progress.done) {
+        // Finished before the interruption, only its jobs still need saving
+        Object.assign(summary.searches[i], {
+          pagesScraped: progress.pagesScraped,
+          internalCount: progress.internalCount,
+          externalCount: progress.externalCount,
+          newJobsCount: progress.jobs.length,
+          resumedFromPage: progress.nextPage,
+        });
+        jobsToSave.push(...progress.jobs);
+        continue;
+      }
+      if (session.aborted) {
+        summary.searches[i].error = "Skipped, an earlier search stopped the session";
+        continue;
+      }
+      jobsToSave.push(...(await runSearch(session, searches[i], summary.searches[i], progress)));
+    }
+  } catch (error) {
+    console.error(`\n--- FATAL SCRAPER ERROR ---`);
+    console.error(`Error: ${error.message}`);
+    console.error(error.stack); // Print stack trace for better debugging
+    summary.error = error.message;
+    summary.searches
+      .filter(search => !search.startedAt)
+      .forEach(search => { search.error = search.error || `Not run: ${error.message}`; });
+  }
+  if (session.stopped) summary.error = session.stopReason;
+
+  try {
+    // --- Save Results ---
+    summary.internalCount = summary.searches.reduce((sum, search) => sum + search.internalCount, 0);
+    summary.externalCount = summary.searches.reduce((sum, search) => sum + search.externalCount, 0);
+    console.log(`\n=== SCRAPING SUMMARY ===`);
+    summary.searches.forEach(search => {
+      console.log(
+        `"${search.query}" in "${search.location}" (Exp: ${search.experience}): ${search.internalCount} internal, ${search.externalCount} external, ${search.pagesScraped} pages${search.error ? ` - ${search.error}` : ""}`
+      );
+    });
+    console.log(`Internal jobs collected (new): ${summary.internalCount}`);
+    console.log(`External jobs collected (new): ${summary.externalCount}`);
+    console.log(`Total new unique jobs collected: ${jobsToSave.length}`);
+    console.log(`Total unique jobs tracked (DB + session): ${session.seenJobKeys.size}`);
+
+    // Most jobs were written page by page; save what is left, e.g. after a fatal error mid-page
+    for (let i = 0; i < searches.length; i++) {
+      await savePendingJobs(session, session.progress[i], summary.searches[i], null);
+    }
+    if (session.store) {
+      summary.storage = { type: session.store.type, ...totalStoreWrites(summary.searches) };
+      console.log(
+        `Storage totals: ${summary.storage.upserted} inserted, ${summary.storage.matched} updated in ${summary.storage.writes} writes` +
+        `${summary.storage.error ? ` (last error: ${summary.storage.error})` : ""}`
+      );
+    }
+    if (jobsToSave.length > 0) {
+      await saveJobsFile(opts, jobsToSave, summary);
+    } else {
+      console.log("No new jobs were collected in this run to save.");
+    }
+    if (session.store && session.relistedJobs.size > 0) {
+      try {
+        summary.knownJobsSeen = (await session.store.markJobsSeen([...session.relistedJobs.values()])).matched;
+      } catch (seenError) {
+        console.error(`Error marking known jobs as seen: ${seenError.message}`);
+      }
+    }
+    if (opts.notifications) {
+      // Only jobs that reached the store count as new; notifiedCount keeps a resumed run from repeating them
+      const savedCount = progress => (session.store ? progress.savedCount || 0 : progress.jobs.length);
+      const newJobs = session.progress.flatMap(progress => progress.jobs.slice(progress.notifiedCount || 0, savedCount(progress)));
+      summary.notifications = await notifyNewJobs(opts.notifications, newJobs, { startedAt: summary.startedAt, finishedAt: new Date() });
+      session.progress.forEach(progress => {
+        progress.notifiedCount = Math.max(progress.notifiedCount || 0, savedCount(progress));
+      });
+    }
+
+    // --- Checkpoint ---
+    const completed = !summary.error &&
+      session.progress.every(progress => progress.done) &&
+      !(session.store && session.progress.some(progress => (progress.savedCount || 0) < progress.jobs.length));
+    if (opts.checkpointFile && completed) {
+      clearCheckpoint(opts.checkpointFile);
+      console.log(`Run completed, removed checkpoint ${opts.checkpointFile}.`);
+    } else if (opts.checkpointFile && fs.existsSync(opts.checkpointFile)) {
+      session.saveProgress(); // Record the final writes
+      console.log(`Run did not complete, resume it from checkpoint ${opts.checkpointFile}.`);
+    }
+  } finally {
+    if (opts.signal) opts.signal.removeEventListener("abort", stopRun);
+    summary.finishedAt = new Date();
+    summary.newJobsCount = jobsToSave.length;
+    summary.knownJobCount = session.seenJobKeys.size;
+    const mongoClient = session.store && session.store.type === "mongodb" ? session.store.client : null;
+    await recordSelectorTelemetry(opts, mongoClient, session.selectorStats, selectors, summary, context);
+
+    // --- Cleanup ---
+    // Close WebDriver
+    await session.stopping;
+    if (session.driver) {
+      try {
+        console.log("\nClosing WebDriver...");
+        await session.driver.quit();
+        console.log("WebDriver closed successfully.");
+      } catch (e) {
+        console.error("Error closing WebDriver:", e.message);
+      }
+    }
+
+    // Close job store
+    if (session.runId) {
+      await finishRun(session.store.runsCollection, session.runId, summary);
+    }
+    if (session.store) {
+      try {
+        await session.store.close();
+      } catch (e) {
+        console.error(`Error closing ${session.store.description}:`, e.message);
+      }
+    }
+  }
+
+  return { jobs: jobsToSave, summary };
+}
+
+/**
+ * Scrapes job information from Naukri.com, stores results in the configured
+ * storage and returns the collected jobs with a run summary.
+ * Fatal errors are recorded on the summary instead of being thrown, after
+ * saving whatever was collected up to that point.
+ * @param {Object} [options] - Scrape options, see DEFAULT_OPTIONS in config.js.
+ * @returns {Promise<{jobs: Object[], summary: Object}>} - New jobs collected in this run and the run summary.
+ */
+async function scrapeNaukriJobs(options = {}) {
+  const opts = resolveOptions(options);
+  const { jobs, summary } = await scrapeSearches(opts, [opts]);
+  const { searches, ...run } = summary;
+  return {
+    jobs,
+    summary: { ...searches[0], ...run, error: run.error || searches[0].error },
+  };
+}
+
+/**
+ * Runs several searches in one browser session with shared dedup, see scrapeSearches.
+ * Each search may set query, location, experience, internalLimit, externalLimit and maxPages;
+ * anything it leaves out comes from options.
+ * @param {Object[]} searches - Searches to run, in order.
+ * @param {Object} [options] - Scrape options shared by all searches, see DEFAULT_OPTIONS in config.js.
+ * @returns {Promise<{jobs: Object[], summary: Object}>} - New jobs from all searches and the run summary,
+ *   with per-search summaries in `summary.searches`.
+ */
+async function scrapeNaukriSearches(searches, options = {}) {
+  const opts = resolveOptions(options);
+  const searchOpts = searches.map(search => resolveOptions({ ...opts, ...pickSearchOptions(search) }));
+  return scrapeSearches(opts, searchOpts);
+}
+
+module.exports = {
+  scrapeNaukriJobs,
+  scrapeNaukriSearches,
+  buildSearchUrl,
+};
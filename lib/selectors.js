@@ -0,0 +1,108 @@
+const fs = require("fs");
+const path = require("path");
+
+// --- Selector Registry ---
+// All CSS/XPath fallback chains live in config/selectors.json so a Naukri markup change is a
+// config update shared by every entry point. An optional overrides file can patch single fields:
+//
+//   {
+//     "version": "hotfix-1",
+//     "overrides": {
+//       "detail.description": { "prepend": ["div.styles_JDC__dang-inner-html__x9Y2z"] },
+//       "card.salary": ["span.sal-wrap span"]
+//     }
+//   }
+//
+// An array replaces the field's chain; { prepend, append } extends it.
+
+const DEFAULT_REGISTRY_FILE = path.join(__dirname, "..", "config", "selectors.json");
+
+const cache = new Map();
+
+/**
+ * Reads and parses a JSON file, naming the file in any error.
+ * @param {string} file - Path to read.
+ * @returns {Object}
+ */
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not load selector file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Checks that every field in the registry is a non-empty list of selector strings.
+ * @param {Object} registry - Parsed registry.
+ * @param {string} source - File name used in error messages.
+ * @throws {Error} - If the registry is malformed.
+ */
+function validateRegistry(registry, source) {
+  if (!registry.version) {
+    throw new Error(`Selector registry ${source} has no version`);
+  }
+  for (const [group, fields] of Object.entries(registry)) {
+    if (group === "version") continue;
+    for (const [field, selectors] of Object.entries(fields)) {
+      if (!Array.isArray(selectors) || selectors.length === 0 || !selectors.every(s => typeof s === "string" && s.trim())) {
+        throw new Error(`Selector registry ${source}: "${group}.${field}" must be a non-empty array of selector strings`);
+      }
+    }
+  }
+}
+
+/**
+ * Applies per-field overrides to a registry in place.
+ * @param {Object} registry - Registry to patch.
+ * @param {Object<string, string[]|{prepend?: string[], append?: string[]}>} overrides - Keyed by "group.field".
+ * @param {string} source - File name used in error messages.
+ */
+function applyOverrides(registry, overrides, source) {
+  for (const [key, override] of Object.entries(overrides)) {
+    const [group, field] = key.split(".");
+    if (!registry[group] || !registry[group][field]) {
+      throw new Error(`Selector overrides ${source}: unknown field "${key}"`);
+    }
+    if (Array.isArray(override)) {
+      registry[group][field] = [...override];
+    } else {
+      registry[group][field] = [
+        ...(override.prepend || []),
+        ...registry[group][field],
+        ...(override.append || []),
+      ];
+    }
+  }
+}
+
+/**
+ * Loads the selector registry, applying an optional overrides file.
+ * Results are cached per file combination, so repeated calls are cheap.
+ * @param {Object} [options]
+ * @param {string} [options.registryFile] - Registry to load instead of config/selectors.json.
+ * @param {string} [options.overridesFile] - JSON file with per-field overrides.
+ * @returns {Object} - The registry: { version, search, card, detail }.
+ * @throws {Error} - If a file cannot be read or is malformed.
+ */
+function loadSelectors({ registryFile, overridesFile } = {}) {
+  registryFile = registryFile || DEFAULT_REGISTRY_FILE;
+  const cacheKey = `${registryFile}|${overridesFile || ""}`;
+  if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+  const registry = readJson(registryFile);
+  if (overridesFile) {
+    const overrides = readJson(overridesFile);
+    applyOverrides(registry, overrides.overrides || {}, overridesFile);
+    if (overrides.version) registry.version = `${registry.version}+${overrides.version}`;
+  }
+  validateRegistry(registry, registryFile);
+
+  cache.set(cacheKey, registry);
+  return registry;
+}
+
+module.exports = {
+  DEFAULT_REGISTRY_FILE,
+  loadSelectors,
+};
@@ -0,0 +1,89 @@
+const fs = require("fs");
+const path = require("path");
+
+// --- Skill Taxonomy ---
+// Maps the skill tags shown on Naukri ("Node.Js", "Expresjs", "Html/Css") to canonical names
+// using config/skillSynonyms.json, so skills can be filtered exactly and counted.
+
+const DEFAULT_SYNONYMS_FILE = path.join(__dirname, "..", "config", "skillSynonyms.json");
+
+let synonymIndex = null;
+
+/**
+ * Reduces a skill name to a lookup key: lower case without spaces, dots, hyphens or underscores,
+ * so "React.js", "ReactJS" and "React Js" share the key "reactjs".
+ * @param {string} name
+ * @returns {string}
+ */
+function skillKey(name) {
+  return name.toLowerCase().replace(/[\s._-]+/g, "");
+}
+
+/**
+ * Loads the synonym table and builds a key -> canonical skill index.
+ * @param {string} [file] - Synonym table to load instead of the bundled one.
+ * @returns {Map<string, string>}
+ */
+function loadSkillSynonyms(file = DEFAULT_SYNONYMS_FILE) {
+  const table = JSON.parse(fs.readFileSync(file, "utf8"));
+  const index = new Map();
+  for (const [skill, synonyms] of Object.entries(table.skills)) {
+    index.set(skillKey(skill), skill);
+    for (const synonym of synonyms) index.set(skillKey(synonym), skill);
+  }
+  return index;
+}
+
+/**
+ * Returns the synonym index, loading the bundled table on first use.
+ * @returns {Map<string, string>}
+ */
+function getSynonymIndex() {
+  if (!synonymIndex) synonymIndex = loadSkillSynonyms();
+  return synonymIndex;
+}
+
+/**
+ * Returns the canonical names for one displayed skill tag. Unknown tags are kept in lower case;
+ * unknown "a/b" combinations such as "Html/Css" are split into their parts.
+ * @param {string} tag - Skill as displayed.
+ * @returns {string[]}
+ */
+function canonicalSkills(tag) {
+  const value = tag.trim().replace(/\s+/g, " ");
+  if (!value) return [];
+  const known = getSynonymIndex().get(skillKey(value));
+  if (known) return [known];
+  if (value.includes("/")) {
+    return value.split("/").flatMap(part => canonicalSkills(part));
+  }
+  return [value.toLowerCase()];
+}
+
+/**
+ * Splits a comma-joined "Skills" string into its tags.
+ * @param {string|string[]|null|undefined} skills - "Node.Js, React.Js, ..." or an array of tags.
+ * @returns {string[]} - Trimmed tags, without the "Not available" placeholder.
+ */
+function splitSkills(skills) {
+  if (Array.isArray(skills)) return skills.map(s => String(s).trim()).filter(Boolean);
+  if (!skills || typeof skills !== "string" || skills.trim().toLowerCase() === "not available") return [];
+  return skills.split(",").map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Normalizes a job's skills into a deduplicated canonical list, keeping the raw tags.
+ * @param {string|string[]|null|undefined} skills - "Skills" as stored.
+ * @returns {{skillsRaw: string[], skillsCanonical: string[]}}
+ */
+function normalizeSkills(skills) {
+  const skillsRaw = splitSkills(skills);
+  const skillsCanonical = [...new Set(skillsRaw.flatMap(canonicalSkills))];
+  return { skillsRaw, skillsCanonical };
+}
+
+module.exports = {
+  loadSkillSynonyms,
+  canonicalSkills,
+  normalizeSkills,
+};
@@ -0,0 +1,226 @@
+const fs = require("fs");
+const path = require("path");
+const { MongoClient } = require("mongodb");
+const { jobKey, jobKeyFilter } = require("./jobFields");
+const { DEFAULT_HISTORY_COLLECTION, recordJobChanges, ensureHistoryIndexes } = require("./history");
+const { DEFAULT_RUNS_COLLECTION } = require("./runs");
+
+// --- Job Persistence ---
+
+/**
+ * Connects to MongoDB and ensures the unique index on "jobId" exists.
+ * @param {{uri: string, dbName: string, collection: string, historyCollection?: string, runsCollection?: string}} mongoConfig - Connection settings.
+ * @returns {Promise<{client: MongoClient, collection: import('mongodb').Collection,
+ *   historyCollection: import('mongodb').Collection, runsCollection: import('mongodb').Collection}>}
+ *   - historyCollection holds the jobs' change history, runsCollection the run records (see runs.js).
+ */
+async function connectMongo(mongoConfig) {
+  console.log(`Connecting to MongoDB at ${mongoConfig.uri}...`);
+  const client = new MongoClient(mongoConfig.uri);
+  await client.connect();
+  console.log("Connected to MongoDB successfully.");
+
+  const db = client.db(mongoConfig.dbName);
+  const collection = db.collection(mongoConfig.collection);
+  await ensureJobIndexes(collection);
+  const historyCollection = db.collection(mongoConfig.historyCollection || DEFAULT_HISTORY_COLLECTION);
+  await ensureHistoryIndexes(historyCollection);
+  const runsCollection = db.collection(mongoConfig.runsCollection || DEFAULT_RUNS_COLLECTION);
+
+  return { client, collection, historyCollection, runsCollection };
+}
+
+/**
+ * Creates the unique index on "jobId". Documents without an ID (URLs that carry none)
+ * are left out of the index so they do not collide on null.
+ * A failure usually means URL-keyed duplicates are still stored; migrate_job_ids.js merges them.
+ * @param {import('mongodb').Collection} collection
+ * @returns {Promise<void>}
+ */
+async function ensureJobIndexes(collection) {
+  try {
+    await collection.createIndex(
+      { jobId: 1 },
+      { unique: true, partialFilterExpression: { jobId: { $type: "string" } } }
+    );
+    console.log("Ensured unique index exists on 'jobId'.");
+    await collection.createIndex({ status: 1, lastSeen: 1 });
+  } catch (indexError) {
+    console.warn(`Could not create unique index on 'jobId': ${indexError.message}`);
+    console.warn("Run 'node migrate_job_ids.js' to merge documents stored under the old URL key.");
+  }
+  await ensureTextIndex(collection);
+}
+
+/**
+ * Creates the text index used by full-text search (query_jobs.js --search). Title matches
+ * weigh most, then skills, then the description.
+ * @param {import('mongodb').Collection} collection
+ * @returns {Promise<void>}
+ */
+async function ensureTextIndex(collection) {
+  try {
+    await collection.createIndex(
+      { "Job Title": "text", "Skills": "text", "Job Description": "text" },
+      { name: "job_text", weights: { "Job Title": 10, "Skills": 5, "Job Description": 1 } }
+    );
+  } catch (indexError) {
+    console.warn(`Could not create text index on jobs: ${indexError.message}`);
+  }
+}
+
+/**
+ * Adds the key (see jobKey) of every job already stored in the collection to the given set.
+ * Documents saved before jobId existed are keyed by the ID in their URL.
+ * @param {import('mongodb').Collection} collection
+ * @param {Set<string>} keys - Set to fill.
+ * @returns {Promise<void>}
+ */
+async function loadExistingJobKeys(collection, keys) {
+  console.log("Loading existing job IDs from database...");
+  const existingJobsCursor = collection.find({}, { projection: { jobId: 1, "Job URL": 1 } });
+  await existingJobsCursor.forEach(job => {
+    const key = jobKey(job);
+    if (key) {
+      keys.add(key);
+    }
+  });
+  console.log(`Loaded ${keys.size} unique existing jobs from the database.`);
+}
+
+/**
+ * Upserts jobs into MongoDB keyed by "jobId" (the URL for jobs without one).
+ * When a history collection is given, changed fields of jobs that were already stored are recorded there.
+ * @param {import('mongodb').Collection} collection
+ * @param {Object[]} jobs - Job records to save.
+ * @param {import('mongodb').Collection|null} [historyCollection] - Where to record field changes.
+ * @returns {Promise<{matched: number, upserted: number, writeErrors: number, changed: number}>} - Bulk write counts.
+ */
+async function upsertJobs(collection, jobs, historyCollection = null) {
+  // Read the stored versions first so changed fields can be recorded after the write
+  const storedJobs = new Map();
+  if (historyCollection && jobs.length > 0) {
+    const stored = await collection.find({ $or: jobs.map(jobKeyFilter) }).toArray();
+    stored.forEach(job => storedJobs.set(jobKey(job), job));
+  }
+
+  // Create operations for bulk write (upsert based on the Naukri job ID)
+  const operations = jobs.map(job => ({
+    updateOne: {
+      filter: jobKeyFilter(job), // Use the job ID as the unique key
+      update: {
+        $set: {
+          ...job, // Spread all collected job data
+          lastUpdated: new Date() // Set/update the last updated timestamp
+        },
+        $setOnInsert: { // Fields to set only when inserting a new document
+          firstScraped: new Date()
+        }
+      },
+      upsert: true // Insert if not found, update if found
+    }
+  }));
+
+  // ordered:false allows other ops to proceed if one fails
+  const result = await collection.bulkWrite(operations, { ordered: false });
+  const writeErrors = result.hasWriteErrors() ? result.getWriteErrors() : [];
+  console.log(`MongoDB Bulk Write Results:`);
+  console.log(`  - Matched (existing updated): ${result.matchedCount}`);
+  console.log(`  - Upserted (newly inserted): ${result.upsertedCount}`);
+  console.log(`  - Total documents affected: ${result.matchedCount + result.upsertedCount}`);
+  if (writeErrors.length > 0) {
+    console.warn("Some errors occurred during MongoDB bulk write:");
+    writeErrors.forEach(err => {
+      console.warn(`  - Index ${err.index}: Code ${err.code}, Message: ${err.errmsg}`);
+    });
+  } else {
+    console.log("MongoDB bulk write completed successfully.");
+  }
+
+  let changed = 0;
+  for (const job of jobs) {
+    const before = storedJobs.get(jobKey(job));
+    if (before && (await recordJobChanges(historyCollection, before, job))) changed++;
+  }
+
+  return {
+    matched: result.matchedCount,
+    upserted: result.upsertedCount,
+    writeErrors: writeErrors.length,
+    changed,
+  };
+}
+
+/**
+ * Marks stored jobs that showed up again in search results as open: sets lastSeen and
+ * reactivates jobs that had been marked expired or removed.
+ * @param {import('mongodb').Collection} collection
+ * @param {Object[]} jobs - Jobs with "jobId" and/or "Job URL".
+ * @param {Date} [seenAt] - When the jobs were seen.
+ * @returns {Promise<{matched: number}>}
+ */
+async function markJobsSeen(collection, jobs, seenAt = new Date()) {
+  if (jobs.length === 0) return { matched: 0 };
+  const operations = jobs.map(job => ({
+    updateOne: {
+      filter: jobKeyFilter(job),
+      update: { $set: { lastSeen: seenAt, status: "active", closedAt: null } },
+    },
+  }));
+  const result = await collection.bulkWrite(operations, { ordered: false });
+  console.log(`Marked ${result.matchedCount} known jobs as seen.`);
+  return { matched: result.matchedCount };
+}
+
+/**
+ * Loads open jobs that have not been seen for a while, least recently seen first.
+ * Jobs stored before lastSeen existed count as never seen.
+ * @param {import('mongodb').Collection} collection
+ * @param {{limit: number, staleAfterHours: number}} refresh - Refresh options.
+ * @returns {Promise<Object[]>}
+ */
+async function loadJobsToRefresh(collection, { limit, staleAfterHours }) {
+  const cutoff = new Date(Date.now() - staleAfterHours * 60 * 60 * 1000);
+  return collection
+    .find({
+      status: { $nin: ["expired", "removed"] },
+      $or: [{ lastSeen: { $lt: cutoff } }, { lastSeen: null }],
+    })
+    .sort({ lastSeen: 1 })
+    .limit(limit)
+    .toArray();
+}
+
+/**
+ * Writes a file through a temporary file and a rename, so an interrupted write leaves the
+ * previous version in place instead of a truncated file. Missing directories are created.
+ * @param {string} file - Destination path.
+ * @param {string} content - File content.
+ */
+function writeFileAtomic(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tempFile = `${file}.${process.pid}.tmp`; // Per process, so concurrent writers never share it
+  fs.writeFileSync(tempFile, content);
+  fs.renameSync(tempFile, file);
+}
+
+/**
+ * Writes jobs to a pretty-printed JSON file, atomically (see writeFileAtomic).
+ * @param {string} outputFile - Destination path.
+ * @param {Object[]} jobs - Job records to write.
+ */
+function writeJsonFile(outputFile, jobs) {
+  writeFileAtomic(outputFile, JSON.stringify(jobs, null, 2));
+}
+
+module.exports = {
+  connectMongo,
+  ensureJobIndexes,
+  ensureTextIndex,
+  loadExistingJobKeys,
+  upsertJobs,
+  markJobsSeen,
+  loadJobsToRefresh,
+  writeFileAtomic,
+  writeJsonFile,
+};
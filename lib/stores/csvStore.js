@@ -0,0 +1,128 @@
+const fs = require("fs");
+const { formatCsv, parseCsv } = require("../csv");
+const { writeFileAtomic } = require("../storage");
+const { createFileStore } = require("./fileStore");
+
+// --- CSV Store ---
+// All jobs in one CSV file, rewritten atomically after every change, for opening in a spreadsheet.
+// Strings are written as they are, dates as ISO strings and numbers, booleans and lists as JSON.
+
+// Columns written first, in this order; any other field follows in the order first seen
+const LEADING_COLUMNS = [
+  "jobId",
+  "Job Title",
+  "Company Name",
+  "Location",
+  "Experience Required",
+  "Salary",
+  "Application Type",
+  "Job URL",
+  "Posted",
+  "Openings",
+  "Applicants",
+  "Skills",
+  "Job Description",
+  "Search Query",
+  "Search Location",
+  "Search Experience",
+  "Scraped Date",
+  "status",
+  "lastSeen",
+  "closedAt",
+  "firstScraped",
+  "lastUpdated",
+];
+
+// Derived fields holding numbers, booleans or lists, read back with JSON.parse
+const JSON_FIELDS = [
+  "experienceMin",
+  "experienceMax",
+  "salaryMin",
+  "salaryMax",
+  "salaryDisclosed",
+  "locationCities",
+  "locationLocalities",
+  "skillsRaw",
+  "skillsCanonical",
+  "openingsCount",
+  "applicantsCount",
+];
+
+/**
+ * Turns a field value into its CSV cell text.
+ * @param {*} value
+ * @returns {string}
+ */
+function encodeCell(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "string") return value;
+  return JSON.stringify(value);
+}
+
+/**
+ * Turns a CSV row back into a job record. Empty cells are left out.
+ * @param {Object} row - Column names mapped to cell text.
+ * @returns {Object}
+ */
+function decodeRow(row) {
+  const job = {};
+  for (const [column, text] of Object.entries(row)) {
+    if (text === "") continue;
+    job[column] = JSON_FIELDS.includes(column) ? JSON.parse(text) : text;
+  }
+  return job;
+}
+
+/**
+ * Lists the columns for a set of jobs.
+ * @param {Object[]} jobs
+ * @returns {string[]}
+ */
+function csvColumns(jobs) {
+  const columns = [...LEADING_COLUMNS];
+  for (const job of jobs) {
+    for (const field of Object.keys(job)) {
+      if (field !== "_id" && !columns.includes(field)) columns.push(field);
+    }
+  }
+  return columns;
+}
+
+/**
+ * Reads the jobs of a CSV store file.
+ * @param {string} file
+ * @returns {Object[]}
+ */
+function readCsvJobs(file) {
+  return parseCsv(fs.readFileSync(file, "utf8")).rows.map(decodeRow);
+}
+
+/**
+ * Writes jobs as CSV.
+ * @param {string} file
+ * @param {Object[]} jobs
+ */
+function writeCsvJobs(file, jobs) {
+  const rows = jobs.map(job => {
+    const row = {};
+    for (const [field, value] of Object.entries(job)) row[field] = encodeCell(value);
+    return row;
+  });
+  writeFileAtomic(file, formatCsv(csvColumns(jobs), rows));
+}
+
+/**
+ * Creates a store that keeps jobs in a CSV file.
+ * @param {string} file - Path of the CSV file.
+ * @returns {Object} - Job store, see stores/index.js.
+ */
+function createCsvStore(file) {
+  return createFileStore({ type: "csv", file, readJobs: readCsvJobs, writeJobs: writeCsvJobs });
+}
+
+module.exports = {
+  createCsvStore,
+  readCsvJobs,
+  writeCsvJobs,
+};
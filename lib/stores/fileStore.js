@@ -0,0 +1,94 @@
+const fs = require("fs");
+const path = require("path");
+const { jobKey, reviveJobDates } = require("../jobFields");
+const { diffJobFields } = require("../history");
+const { mergeJobRecord, markRecordSeen } = require("./records");
+
+// --- File Stores ---
+// Shared part of the JSON, NDJSON and CSV stores: the file is read once when the store opens,
+// jobs are kept in memory keyed by jobKey, and every change is handed to the format's writer.
+// There is no locking: two processes using the same file overwrite each other's writes.
+
+/**
+ * Creates a job store backed by a single file.
+ * @param {Object} format
+ * @param {string} format.type - Storage type, e.g. "json".
+ * @param {string} format.file - Path of the file.
+ * @param {function(string): Object[]} format.readJobs - Reads all records from the file; later
+ *   records of the same job replace earlier ones.
+ * @param {function(string, Object[], Object[]): void} format.writeJobs - Writes after a change,
+ *   given the file, all records and the records that changed.
+ * @returns {Object} - Job store, see stores/index.js.
+ */
+function createFileStore({ type, file, readJobs, writeJobs }) {
+  const jobs = new Map();
+
+  const save = changedJobs => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    writeJobs(file, [...jobs.values()], changedJobs);
+  };
+
+  return {
+    type,
+    description: `${type} file ${file}`,
+
+    async open() {
+      if (!fs.existsSync(file)) {
+        console.log(`Storage file ${file} does not exist yet, it will be created on the first write.`);
+        return;
+      }
+      for (const job of readJobs(file)) {
+        const key = jobKey(job);
+        if (key) jobs.set(key, reviveJobDates(job));
+      }
+      console.log(`Loaded ${jobs.size} stored jobs from ${file}.`);
+    },
+
+    async loadJobKeys(keys) {
+      for (const key of jobs.keys()) keys.add(key);
+      console.log(`Loaded ${jobs.size} unique existing jobs from ${file}.`);
+    },
+
+    async upsertJobs(newJobs) {
+      const now = new Date();
+      const result = { matched: 0, upserted: 0, writeErrors: 0, changed: 0 };
+      const changedJobs = [];
+      for (const job of newJobs) {
+        const key = jobKey(job);
+        const stored = jobs.get(key) || null;
+        if (stored) {
+          result.matched++;
+          if (diffJobFields(stored, job).length > 0) result.changed++;
+        } else {
+          result.upserted++;
+        }
+        const record = mergeJobRecord(stored, job, now);
+        jobs.set(key, record);
+        changedJobs.push(record);
+      }
+      save(changedJobs);
+      console.log(`Saved ${newJobs.length} jobs to ${file}: ${result.upserted} new, ${result.matched} updated.`);
+      return result;
+    },
+
+    async markJobsSeen(seenJobs, seenAt = new Date()) {
+      const changedJobs = [];
+      for (const job of seenJobs) {
+        const key = jobKey(job);
+        if (!jobs.has(key)) continue;
+        const record = markRecordSeen(jobs.get(key), seenAt);
+        jobs.set(key, record);
+        changedJobs.push(record);
+      }
+      if (changedJobs.length > 0) save(changedJobs);
+      console.log(`Marked ${changedJobs.length} known jobs as seen.`);
+      return { matched: changedJobs.length };
+    },
+
+    async close() {},
+  };
+}
+
+module.exports = {
+  createFileStore,
+};
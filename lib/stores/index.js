@@ -0,0 +1,73 @@
+const { createMongoStore } = require("./mongoStore");
+const { createJsonStore } = require("./jsonStore");
+const { createNdjsonStore } = require("./ndjsonStore");
+const { createCsvStore } = require("./csvStore");
+
+// --- Job Stores ---
+// The scraper saves jobs through a job store, selected by storage.type. Every store keys jobs
+// by jobKey and follows the MongoDB upsert rules (see records.js), and has these methods:
+//
+//   open()                      - Connects or reads the stored jobs.
+//   loadJobKeys(keys)           - Adds the key of every stored job to a Set.
+//   upsertJobs(jobs)            - Inserts or updates jobs; resolves to { matched, upserted, writeErrors, changed }.
+//   markJobsSeen(jobs, seenAt)  - Bumps lastSeen and reactivates stored jobs; resolves to { matched }.
+//   close()                     - Releases connections and files.
+//
+// type and description name the store in logs and summaries.
+
+const STORE_TYPES = ["mongodb", "json", "ndjson", "sqlite", "csv"];
+
+/**
+ * Returns the file used by a file-based store when storage.file is not set.
+ * @param {string} type - Storage type other than "mongodb".
+ * @returns {string}
+ */
+function defaultStoreFile(type) {
+  return `./data/naukri_jobs.${type}`;
+}
+
+/**
+ * Loads the SQLite store module.
+ * @returns {Object}
+ * @throws {Error} - If better-sqlite3 is not installed or not built.
+ */
+function loadSqliteStore() {
+  try {
+    return require("./sqliteStore");
+  } catch (loadError) {
+    throw new Error(`Storage type "sqlite" needs the optional better-sqlite3 package ("npm install better-sqlite3"): ${loadError.message}`);
+  }
+}
+
+/**
+ * Creates the job store selected by the storage options. The store still has to be opened.
+ * @param {Object} storage - Resolved storage options (type, file, mongo).
+ * @returns {Object|null} - Job store, or null when storage.type is not set.
+ * @throws {Error} - If the type is unknown or MongoDB is selected without connection settings.
+ */
+function createJobStore(storage) {
+  if (!storage.type) return null;
+  const file = storage.file || defaultStoreFile(storage.type);
+  switch (storage.type) {
+    case "mongodb":
+      if (!storage.mongo) throw new Error('Storage type "mongodb" needs storage.mongo connection settings');
+      return createMongoStore(storage.mongo);
+    case "json":
+      return createJsonStore(file);
+    case "ndjson":
+      return createNdjsonStore(file);
+    case "sqlite":
+      // Loaded on demand: better-sqlite3 is an optional dependency with a native build
+      return loadSqliteStore().createSqliteStore(file);
+    case "csv":
+      return createCsvStore(file);
+    default:
+      throw new Error(`Unknown storage type "${storage.type}", expected one of: ${STORE_TYPES.join(", ")}`);
+  }
+}
+
+module.exports = {
+  STORE_TYPES,
+  defaultStoreFile,
+  createJobStore,
+};
@@ -0,0 +1,44 @@
+const fs = require("fs");
+const { writeJsonFile } = require("../storage");
+const { createFileStore } = require("./fileStore");
+
+// --- JSON Store ---
+// All jobs in one pretty-printed JSON array, rewritten atomically after every change.
+
+/**
+ * Reads the jobs of a JSON store file.
+ * @param {string} file
+ * @returns {Object[]}
+ * @throws {Error} - If the file does not hold a JSON array.
+ */
+function readJsonJobs(file) {
+  let jobs;
+  try {
+    jobs = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read jobs from ${file}: ${error.message}`);
+  }
+  if (!Array.isArray(jobs)) {
+    throw new Error(`${file} does not hold a JSON array of jobs`);
+  }
+  return jobs;
+}
+
+/**
+ * Creates a store that keeps jobs in a JSON file.
+ * @param {string} file - Path of the JSON file.
+ * @returns {Object} - Job store, see stores/index.js.
+ */
+function createJsonStore(file) {
+  return createFileStore({
+    type: "json",
+    file,
+    readJobs: readJsonJobs,
+    writeJobs: (target, jobs) => writeJsonFile(target, jobs),
+  });
+}
+
+module.exports = {
+  createJsonStore,
+  readJsonJobs,
+};
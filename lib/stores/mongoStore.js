@@ -0,0 +1,51 @@
+const { connectMongo, loadExistingJobKeys, upsertJobs, markJobsSeen } = require("../storage");
+
+// --- MongoDB Store ---
+// Wraps the MongoDB functions of storage.js. Changed fields are recorded in the job history
+// collection; the client is shared with selector telemetry and runsCollection with run records.
+
+/**
+ * Creates a store that keeps jobs in a MongoDB collection.
+ * @param {{uri: string, dbName: string, collection: string, historyCollection?: string}} mongoConfig - Connection settings.
+ * @returns {Object} - Job store, see stores/index.js, with client, collection,
+ *   historyCollection and runsCollection set once opened.
+ */
+function createMongoStore(mongoConfig) {
+  const store = {
+    type: "mongodb",
+    description: "MongoDB",
+    client: null,
+    collection: null,
+    historyCollection: null,
+    runsCollection: null,
+
+    async open() {
+      console.log(`Database: ${mongoConfig.dbName}, Collection: ${mongoConfig.collection}`);
+      Object.assign(store, await connectMongo(mongoConfig));
+    },
+
+    async loadJobKeys(keys) {
+      await loadExistingJobKeys(store.collection, keys);
+    },
+
+    async upsertJobs(jobs) {
+      return upsertJobs(store.collection, jobs, store.historyCollection);
+    },
+
+    async markJobsSeen(jobs, seenAt = new Date()) {
+      return markJobsSeen(store.collection, jobs, seenAt);
+    },
+
+    async close() {
+      if (store.client) {
+        await store.client.close();
+        console.log("MongoDB connection closed.");
+      }
+    },
+  };
+  return store;
+}
+
+module.exports = {
+  createMongoStore,
+};
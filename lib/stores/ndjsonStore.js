@@ -0,0 +1,47 @@
+const fs = require("fs");
+const { createFileStore } = require("./fileStore");
+
+// --- NDJSON Store ---
+// Append-only log with one job per line. Saving a job appends its full record; when the file
+// is read back the last line of each job wins, so earlier lines are never rewritten.
+
+/**
+ * Reads the records of an NDJSON store file, oldest first. Blank lines are skipped.
+ * @param {string} file
+ * @returns {Object[]}
+ * @throws {Error} - If a line is not valid JSON.
+ */
+function readNdjsonJobs(file) {
+  const lines = fs.readFileSync(file, "utf8").split("\n");
+  const jobs = [];
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      jobs.push(JSON.parse(line));
+    } catch (error) {
+      throw new Error(`Could not read ${file} line ${index + 1}: ${error.message}`);
+    }
+  });
+  return jobs;
+}
+
+/**
+ * Creates a store that appends jobs to an NDJSON file.
+ * @param {string} file - Path of the NDJSON file.
+ * @returns {Object} - Job store, see stores/index.js.
+ */
+function createNdjsonStore(file) {
+  return createFileStore({
+    type: "ndjson",
+    file,
+    readJobs: readNdjsonJobs,
+    writeJobs: (target, jobs, changedJobs) => {
+      fs.appendFileSync(target, changedJobs.map(job => `${JSON.stringify(job)}\n`).join(""));
+    },
+  });
+}
+
+module.exports = {
+  createNdjsonStore,
+  readNdjsonJobs,
+};
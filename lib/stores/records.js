@@ -0,0 +1,36 @@
+// --- Job Record Semantics ---
+// How a stored job changes when it is saved again or seen again. The MongoDB store does this
+// with $set / $setOnInsert; the other stores apply these helpers so every backend stores the
+// same records.
+
+/**
+ * Merges a job into its stored record: the new values win, lastUpdated is set and
+ * firstScraped is only set on insert.
+ * @param {Object|null} stored - Stored record, or null for a new job.
+ * @param {Object} job - Job record being saved.
+ * @param {Date} now - Time of the write.
+ * @returns {Object} - Record to store.
+ */
+function mergeJobRecord(stored, job, now) {
+  return {
+    ...(stored || {}),
+    ...job,
+    lastUpdated: now,
+    ...(stored ? {} : { firstScraped: now }),
+  };
+}
+
+/**
+ * Marks a stored record as seen in search results, reactivating it if it had been closed.
+ * @param {Object} stored - Stored record.
+ * @param {Date} seenAt - When the job was seen.
+ * @returns {Object} - Record to store.
+ */
+function markRecordSeen(stored, seenAt) {
+  return { ...stored, lastSeen: seenAt, status: "active", closedAt: null };
+}
+
+module.exports = {
+  mergeJobRecord,
+  markRecordSeen,
+};
@@ -0,0 +1,113 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { jobKey, reviveJobDates } = require("../jobFields");
+const { diffJobFields } = require("../history");
+const { mergeJobRecord, markRecordSeen } = require("./records");
+
+// --- SQLite Store ---
+// One row per job in a local SQLite database: the key columns plus the full record as JSON.
+// Each save runs in one transaction.
+
+const CREATE_JOBS_TABLE = `
+  CREATE TABLE IF NOT EXISTS jobs (
+    job_key TEXT PRIMARY KEY,
+    job_id TEXT,
+    job_url TEXT,
+    data TEXT NOT NULL
+  )`;
+
+/**
+ * Creates a store that keeps jobs in a SQLite database.
+ * @param {string} file - Path of the database file.
+ * @returns {Object} - Job store, see stores/index.js.
+ */
+function createSqliteStore(file) {
+  let db = null;
+  let statements = null;
+
+  const readRecord = key => {
+    const row = statements.select.get(key);
+    return row ? reviveJobDates(JSON.parse(row.data)) : null;
+  };
+  const writeRecord = (key, record) => {
+    statements.upsert.run({
+      key,
+      jobId: record.jobId || null,
+      url: record["Job URL"] || null,
+      data: JSON.stringify(record),
+    });
+  };
+
+  return {
+    type: "sqlite",
+    description: `SQLite database ${file}`,
+
+    async open() {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      db = new Database(file);
+      db.pragma("journal_mode = WAL");
+      db.exec(CREATE_JOBS_TABLE);
+      statements = {
+        keys: db.prepare("SELECT job_key FROM jobs"),
+        select: db.prepare("SELECT data FROM jobs WHERE job_key = ?"),
+        upsert: db.prepare(`
+          INSERT INTO jobs (job_key, job_id, job_url, data) VALUES (@key, @jobId, @url, @data)
+          ON CONFLICT(job_key) DO UPDATE SET job_id = excluded.job_id, job_url = excluded.job_url, data = excluded.data`),
+      };
+      console.log(`Opened SQLite database ${file}.`);
+    },
+
+    async loadJobKeys(keys) {
+      const before = keys.size;
+      for (const row of statements.keys.iterate()) keys.add(row.job_key);
+      console.log(`Loaded ${keys.size - before} unique existing jobs from ${file}.`);
+    },
+
+    async upsertJobs(jobs) {
+      const now = new Date();
+      const result = { matched: 0, upserted: 0, writeErrors: 0, changed: 0 };
+      db.transaction(() => {
+        for (const job of jobs) {
+          const key = jobKey(job);
+          const stored = readRecord(key);
+          if (stored) {
+            result.matched++;
+            if (diffJobFields(stored, job).length > 0) result.changed++;
+          } else {
+            result.upserted++;
+          }
+          writeRecord(key, mergeJobRecord(stored, job, now));
+        }
+      })();
+      console.log(`Saved ${jobs.length} jobs to ${file}: ${result.upserted} new, ${result.matched} updated.`);
+      return result;
+    },
+
+    async markJobsSeen(jobs, seenAt = new Date()) {
+      let matched = 0;
+      db.transaction(() => {
+        for (const job of jobs) {
+          const key = jobKey(job);
+          const stored = readRecord(key);
+          if (!stored) continue;
+          writeRecord(key, markRecordSeen(stored, seenAt));
+          matched++;
+        }
+      })();
+      console.log(`Marked ${matched} known jobs as seen.`);
+      return { matched };
+    },
+
+    async close() {
+      if (db) {
+        db.close();
+        console.log("SQLite database closed.");
+      }
+    },
+  };
+}
+
+module.exports = {
+  createSqliteStore,
+};
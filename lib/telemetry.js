@@ -0,0 +1,150 @@
+const fs = require("fs");
+const { writeFileAtomic } = require("./storage");
+
+// --- Selector Telemetry ---
+// Counts, per field, which selector in the fallback chain matched and how often the field
+// fell back to its default. Runs are stored so later runs can spot markup drift.
+
+const DEFAULT_STATS_COLLECTION = "run_stats";
+const DRIFT_HISTORY_RUNS = 5; // Earlier runs to compare against
+const DRIFT_MIN_SAMPLES = 3; // Fields with fewer samples in a run are not judged
+const EMPTY_RATE_JUMP = 0.3; // Rise in empty rate (0-1) that counts as drift
+const MAX_FILE_RUNS = 100; // Runs kept in a run stats file; older ones are dropped
+
+/**
+ * Creates an empty stats tracker for one run.
+ * @returns {{fields: Object<string, {samples: number, empty: number, hits: Object<string, number>}>}}
+ */
+function createSelectorStats() {
+  return { fields: {} };
+}
+
+/**
+ * Records one extraction result per field.
+ * @param {Object} stats - Tracker from createSelectorStats.
+ * @param {string} group - Registry group the fields belong to ("card" or "detail").
+ * @param {Object<string, string|null>} matchedSelectors - Winning selector per field, null for a fallback.
+ */
+function recordMatches(stats, group, matchedSelectors) {
+  for (const [field, selector] of Object.entries(matchedSelectors)) {
+    const key = `${group}.${field}`;
+    const entry = stats.fields[key] || (stats.fields[key] = { samples: 0, empty: 0, hits: {} });
+    entry.samples++;
+    if (selector) {
+      entry.hits[selector] = (entry.hits[selector] || 0) + 1;
+    } else {
+      entry.empty++;
+    }
+  }
+}
+
+/**
+ * Turns a tracker into a storable run-stats record.
+ * Hits are stored as an array because selectors contain characters MongoDB rejects in keys.
+ * @param {Object} stats - Tracker from createSelectorStats.
+ * @param {Object} registry - Selector registry used for the run, to find each field's primary selector.
+ * @param {Object} context - Run details (query, location, experience) stored alongside the stats.
+ * @returns {Object} - The run-stats record.
+ */
+function buildRunStatsRecord(stats, registry, context) {
+  const fields = Object.entries(stats.fields).map(([field, entry]) => {
+    const [group, name] = field.split(".");
+    const primarySelector = registry[group] && registry[group][name] ? registry[group][name][0] : null;
+    return {
+      field,
+      samples: entry.samples,
+      empty: entry.empty,
+      emptyRate: entry.samples > 0 ? entry.empty / entry.samples : 0,
+      primarySelector,
+      primaryHits: primarySelector ? entry.hits[primarySelector] || 0 : 0,
+      hits: Object.entries(entry.hits)
+        .map(([selector, count]) => ({ selector, count }))
+        .sort((a, b) => b.count - a.count),
+    };
+  });
+  return {
+    runAt: new Date(),
+    ...context,
+    selectorsVersion: registry.version,
+    fields,
+  };
+}
+
+/**
+ * Compares a run against earlier runs and describes any markup drift.
+ * Warns when a field's primary selector stopped matching although it matched before,
+ * and when a field's empty rate rose by EMPTY_RATE_JUMP or more over the earlier average.
+ * @param {Object} current - Run-stats record of this run.
+ * @param {Object[]} previousRuns - Earlier run-stats records, newest first.
+ * @returns {string[]} - Human-readable warnings, empty when nothing drifted.
+ */
+function buildDriftReport(current, previousRuns) {
+  const warnings = [];
+  for (const field of current.fields) {
+    if (field.samples < DRIFT_MIN_SAMPLES) continue;
+    const history = previousRuns
+      .map(run => (run.fields || []).find(f => f.field === field.field))
+      .filter(f => f && f.samples >= DRIFT_MIN_SAMPLES);
+    if (history.length === 0) continue;
+
+    const primaryMatchedBefore = history.some(f => f.primarySelector === field.primarySelector && f.primaryHits > 0);
+    if (field.primarySelector && field.primaryHits === 0 && primaryMatchedBefore) {
+      warnings.push(
+        `${field.field}: primary selector "${field.primarySelector}" matched 0/${field.samples} times (it matched in earlier runs)`
+      );
+    }
+
+    const previousEmptyRate = history.reduce((sum, f) => sum + f.emptyRate, 0) / history.length;
+    if (field.emptyRate - previousEmptyRate >= EMPTY_RATE_JUMP) {
+      warnings.push(
+        `${field.field}: empty rate rose to ${(field.emptyRate * 100).toFixed(0)}% from an average of ${(previousEmptyRate * 100).toFixed(0)}%`
+      );
+    }
+  }
+  return warnings;
+}
+
+/**
+ * Loads the most recent run-stats records, newest first.
+ * @param {{collection?: import('mongodb').Collection, file?: string}} store - Where run stats live.
+ * @param {number} [limit] - Maximum number of runs to return.
+ * @returns {Promise<Object[]>}
+ */
+async function loadRecentRunStats(store, limit = DRIFT_HISTORY_RUNS) {
+  if (store.collection) {
+    return store.collection.find({}).sort({ runAt: -1 }).limit(limit).toArray();
+  }
+  if (store.file && fs.existsSync(store.file)) {
+    const runs = JSON.parse(fs.readFileSync(store.file, "utf8"));
+    return runs.slice(-limit).reverse();
+  }
+  return [];
+}
+
+/**
+ * Appends a run-stats record to the store. A run stats file keeps the last MAX_FILE_RUNS runs
+ * and is written atomically, so a crash mid-write cannot lose the earlier runs.
+ * @param {{collection?: import('mongodb').Collection, file?: string}} store - Where run stats live.
+ * @param {Object} record - Record from buildRunStatsRecord.
+ * @returns {Promise<void>}
+ */
+async function saveRunStats(store, record) {
+  if (store.collection) {
+    await store.collection.insertOne(record);
+  } else if (store.file) {
+    const runs = fs.existsSync(store.file) ? JSON.parse(fs.readFileSync(store.file, "utf8")) : [];
+    runs.push(record);
+    writeFileAtomic(store.file, JSON.stringify(runs.slice(-MAX_FILE_RUNS), null, 2));
+  }
+}
+
+module.exports = {
+  DEFAULT_STATS_COLLECTION,
+  MAX_FILE_RUNS,
+  createSelectorStats,
+  recordMatches,
+  buildRunStatsRecord,
+  buildDriftReport,
+  loadRecentRunStats,
+  saveRunStats,
+};
@@ -0,0 +1,69 @@
+// --- Full-Text Search ---
+// Helpers for relevance search over stored jobs. MongoDB's text index finds and ranks the jobs
+// (see ensureTextIndex in storage.js); these helpers show why a job matched by cutting
+// highlighted snippets out of its description.
+
+const SNIPPET_CONTEXT = 60; // Characters kept on each side of a match
+const MAX_SNIPPETS = 3;
+
+/**
+ * Extracts the words and phrases of a MongoDB $text search string, leaving out negated terms.
+ * @param {string} search - Search string, e.g. 'kafka "event driven" -intern'.
+ * @returns {string[]} - Lower-case terms, e.g. ["kafka", "event driven"].
+ */
+function searchTerms(search) {
+  const tokens = String(search || "").match(/-?"[^"]+"|\S+/g) || [];
+  return tokens
+    .filter(token => !token.startsWith("-"))
+    .map(token => token.replace(/"/g, "").trim().toLowerCase())
+    .filter(term => term.length > 1);
+}
+
+/**
+ * Builds a regex matching any of the terms at a word start, with any word ending so
+ * "microservice" also matches "microservices" (the text index stems words the same way).
+ * @param {string[]} terms
+ * @returns {RegExp|null}
+ */
+function termPattern(terms) {
+  if (terms.length === 0) return null;
+  const alternatives = terms.map(term => `${term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+")}\\w*`);
+  return new RegExp(`\\b(?:${alternatives.join("|")})`, "gi");
+}
+
+/**
+ * Cuts snippets around the search terms out of a text and marks each match as **match**.
+ * Overlapping snippets are merged; cut ends get "...".
+ * @param {string} text - Text to search, e.g. a job description.
+ * @param {string[]} terms - Terms from searchTerms.
+ * @param {{context?: number, maxSnippets?: number}} [options]
+ * @returns {string[]} - Highlighted snippets, in text order; empty when no term occurs.
+ */
+function buildSnippets(text, terms, { context = SNIPPET_CONTEXT, maxSnippets = MAX_SNIPPETS } = {}) {
+  const pattern = termPattern(terms);
+  if (!pattern || !text) return [];
+  const flat = String(text).replace(/\s+/g, " ").trim();
+
+  const windows = [];
+  for (const match of flat.matchAll(pattern)) {
+    const start = Math.max(0, match.index - context);
+    const end = Math.min(flat.length, match.index + match[0].length + context);
+    const last = windows[windows.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      if (windows.length === maxSnippets) break;
+      windows.push({ start, end });
+    }
+  }
+
+  return windows.map(({ start, end }) => {
+    const highlighted = flat.substring(start, end).replace(pattern, found => `**${found}**`);
+    return `${start > 0 ? "..." : ""}${highlighted}${end < flat.length ? "..." : ""}`;
+  });
+}
+
+module.exports = {
+  searchTerms,
+  buildSnippets,
+};
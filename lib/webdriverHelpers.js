@@ -0,0 +1,120 @@
+const { error: WebDriverError } = require("selenium-webdriver");
+const fs = require("fs");
+
+// --- Safe WebDriver Helpers ---
+// Wrappers that swallow expected lookup errors so fallback selector chains stay readable.
+
+/**
+ * Safely finds an element within a parent, returning null if not found.
+ * Does not wait implicitly, relies on parent being ready or explicit waits before calling.
+ * @param {import('selenium-webdriver').WebElement | import('selenium-webdriver').WebDriver} parent - The parent element or driver to search within.
+ * @param {import('selenium-webdriver').By} locator - The locator strategy.
+ * @returns {Promise<import('selenium-webdriver').WebElement|null>} - The found element or null.
+ */
+async function safeFindElement(parent, locator) {
+  try {
+    return await parent.findElement(locator);
+  } catch (e) {
+    if (e instanceof WebDriverError.NoSuchElementError) {
+      return null; // Element not found is expected in some cases
+    }
+    // Avoid logging StaleElementReferenceError excessively if the parent disappears
+    if (!(e instanceof WebDriverError.StaleElementReferenceError)) {
+      // Log other errors as warnings
+      console.warn(
+        `Warning: Error finding child element ${locator.toString()}: ${e.name} - ${
+          e.message.split('\n')[0] // Keep message concise
+        }`
+      );
+    }
+    return null;
+  }
+}
+
+/**
+ * Safely finds multiple elements within a parent, returning an empty array if none are found.
+ * @param {import('selenium-webdriver').WebElement | import('selenium-webdriver').WebDriver} parent - The parent element or driver to search within.
+ * @param {import('selenium-webdriver').By} locator - The locator strategy.
+ * @returns {Promise<import('selenium-webdriver').WebElement[]>} - An array of found elements.
+ */
+async function safeFindElements(parent, locator) {
+  try {
+    return await parent.findElements(locator);
+  } catch (e) {
+    if (!(e instanceof WebDriverError.StaleElementReferenceError)) {
+       console.warn(
+        `Warning: Error finding child elements ${locator.toString()}: ${e.name} - ${
+          e.message.split('\n')[0]
+        }`
+      );
+    }
+    return []; // Return empty array on error
+  }
+}
+
+/**
+ * Safely gets the text from an element, returning a default value if extraction fails.
+ * @param {import('selenium-webdriver').WebElement | null} element - The Selenium WebElement or null.
+ * @param {string} defaultValue - The value to return if text is not found or element is null.
+ * @returns {Promise<string>} - The trimmed text content or the default value.
+ */
+async function safeGetText(element, defaultValue = "Not available") {
+  if (!element) return defaultValue;
+  try {
+    const text = await element.getText();
+    return text ? text.trim() : defaultValue;
+  } catch (e) {
+    // Ignore stale element errors as the element might have been removed
+    if (!(e instanceof WebDriverError.StaleElementReferenceError)) {
+      console.warn(`Warning: Could not get text: ${e.name} - ${e.message.split('\n')[0]}`);
+    }
+    return defaultValue;
+  }
+}
+
+/**
+ * Safely gets an attribute value from an element, returning a default value if extraction fails.
+ * @param {import('selenium-webdriver').WebElement | null} element - The Selenium WebElement or null.
+ * @param {string} attributeName - The name of the attribute to get.
+ * @param {string|null} defaultValue - The value to return if attribute is not found or element is null.
+ * @returns {Promise<string|null>} - The attribute value or the default value.
+ */
+async function safeGetAttribute(element, attributeName, defaultValue = null) {
+  if (!element) return defaultValue;
+  try {
+    const attribute = await element.getAttribute(attributeName);
+    // Check for null/undefined explicitly, return defaultValue if attribute is missing
+    return attribute !== null && attribute !== undefined ? attribute.trim() : defaultValue;
+  } catch (e) {
+    if (!(e instanceof WebDriverError.StaleElementReferenceError)) {
+      console.warn(
+        `Warning: Could not get attribute '${attributeName}': ${e.name} - ${e.message.split('\n')[0]}`
+      );
+    }
+    return defaultValue;
+  }
+}
+
+/**
+ * Takes a screenshot and saves it.
+ * @param {import('selenium-webdriver').WebDriver} driver
+ * @param {string} filename
+ */
+async function takeScreenshot(driver, filename = 'screenshot.png') {
+    if (!driver) return;
+    try {
+        const screenshot = await driver.takeScreenshot();
+        fs.writeFileSync(filename, screenshot, "base64");
+        console.log(`Screenshot saved as ${filename}`);
+    } catch (e) {
+        console.warn(`Failed to take screenshot (${filename}): ${e.message}`);
+    }
+}
+
+module.exports = {
+  safeFindElement,
+  safeFindElements,
+  safeGetText,
+  safeGetAttribute,
+  takeScreenshot,
+};
@@ -0,0 +1,148 @@
+const { MongoClient } = require("mongodb");
+require("dotenv").config();
+const { parseArgs } = require("./lib/config");
+const { parseJobId } = require("./lib/parsers");
+const { ensureJobIndexes } = require("./lib/storage");
+
+// Moves a collection from the old "Job URL" key to "jobId": sets jobId on every document,
+// merges documents that were stored twice because the same job was seen under different URLs,
+// and swaps the unique "Job URL" index for a unique "jobId" index.
+// Usage: node migrate_job_ids.js [--mongoUri uri] [--dbName name] [--collection name] [--dryRun true]
+
+const params = parseArgs(process.argv.slice(2));
+
+// MongoDB configuration
+const MONGODB_URI = params.mongoUri || process.env.MONGODB_URI || "mongodb://localhost:27017";
+const DB_NAME = params.dbName || process.env.DB_NAME || "naukri_jobs_db";
+const COLLECTION_NAME = params.collection || process.env.COLLECTION_NAME || "jobs";
+const DRY_RUN = params.dryRun === "true";
+const BATCH_SIZE = 500;
+
+/**
+ * Returns when a stored job was last written, for picking the newest copy.
+ * @param {Object} job
+ * @returns {number}
+ */
+function updatedAt(job) {
+  const date = job.lastUpdated || job["Scraped Date"] || job.firstScraped;
+  return date ? new Date(date).getTime() : 0;
+}
+
+/**
+ * Merges copies of one job into a single document. Fields of newer copies win,
+ * firstScraped keeps the earliest value seen across all copies.
+ * @param {Object[]} copies - Stored documents of the same job.
+ * @returns {Object} - Merged document without _id.
+ */
+function mergeCopies(copies) {
+  const ordered = [...copies].sort((a, b) => updatedAt(a) - updatedAt(b));
+  const merged = Object.assign({}, ...ordered);
+  delete merged._id;
+  const firstSeen = ordered
+    .map(job => job.firstScraped || job["Scraped Date"])
+    .filter(Boolean)
+    .map(date => new Date(date))
+    .sort((a, b) => a - b);
+  if (firstSeen.length > 0) merged.firstScraped = firstSeen[0];
+  return merged;
+}
+
+/**
+ * Drops the unique index on "Job URL" if there is one, so merged documents can take the newest URL.
+ * @param {import('mongodb').Collection} collection
+ * @returns {Promise<void>}
+ */
+async function dropUniqueUrlIndex(collection) {
+  const indexes = await collection.indexes();
+  const urlIndex = indexes.find(index => index.unique && Object.keys(index.key).join() === "Job URL");
+  if (urlIndex) {
+    console.log(`Dropping unique index '${urlIndex.name}' on 'Job URL'`);
+    await collection.dropIndex(urlIndex.name);
+  }
+}
+
+async function migrateJobIds() {
+  const client = new MongoClient(MONGODB_URI);
+
+  try {
+    await client.connect();
+    console.log("Connected to MongoDB");
+    if (DRY_RUN) console.log("Dry run, nothing will be written");
+
+    const jobsCollection = client.db(DB_NAME).collection(COLLECTION_NAME);
+
+    // --- Group documents by job ID ---
+    const groups = new Map();
+    let withoutId = 0;
+    const cursor = jobsCollection.find({}, { projection: { jobId: 1, "Job URL": 1 } });
+    for await (const job of cursor) {
+      const jobId = job.jobId || parseJobId(job["Job URL"]);
+      if (!jobId) {
+        withoutId++;
+        continue;
+      }
+      if (!groups.has(jobId)) groups.set(jobId, []);
+      groups.get(jobId).push(job);
+    }
+    const duplicates = [...groups.entries()].filter(([, jobs]) => jobs.length > 1);
+    console.log(`Found ${groups.size} job IDs, ${duplicates.length} of them stored more than once`);
+    if (withoutId > 0) {
+      console.warn(`${withoutId} documents have no job ID in their URL and stay keyed by URL`);
+    }
+    if (DRY_RUN) {
+      duplicates.slice(0, 20).forEach(([jobId, jobs]) => {
+        console.log(`  ${jobId}: ${jobs.map(job => job["Job URL"]).join(" | ")}`);
+      });
+      return { merged: 0, removed: 0, updated: 0 };
+    }
+
+    await dropUniqueUrlIndex(jobsCollection);
+
+    // --- Merge duplicates ---
+    let removed = 0;
+    for (const [jobId, copies] of duplicates) {
+      const fullCopies = await jobsCollection.find({ _id: { $in: copies.map(job => job._id) } }).toArray();
+      const merged = mergeCopies(fullCopies);
+      const keep = fullCopies.reduce((newest, job) => (updatedAt(job) > updatedAt(newest) ? job : newest));
+      const removeIds = fullCopies.filter(job => job._id !== keep._id).map(job => job._id);
+      const result = await jobsCollection.deleteMany({ _id: { $in: removeIds } });
+      removed += result.deletedCount;
+      await jobsCollection.replaceOne({ _id: keep._id }, { ...merged, jobId });
+    }
+
+    // --- Set jobId on the remaining documents ---
+    let operations = [];
+    let updated = 0;
+    const flush = async () => {
+      if (operations.length === 0) return;
+      const result = await jobsCollection.bulkWrite(operations, { ordered: false });
+      updated += result.modifiedCount;
+      operations = [];
+    };
+    for (const [jobId, copies] of groups) {
+      if (copies.length > 1 || copies[0].jobId === jobId) continue;
+      operations.push({
+        updateOne: { filter: { _id: copies[0]._id }, update: { $set: { jobId } } },
+      });
+      if (operations.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    // --- Indexes ---
+    await ensureJobIndexes(jobsCollection);
+    await jobsCollection.createIndex({ "Job URL": 1 });
+
+    console.log(`Merged ${duplicates.length} duplicated jobs (removed ${removed} copies), set jobId on ${updated} jobs`);
+    return { merged: duplicates.length, removed, updated };
+  } finally {
+    await client.close();
+    console.log("MongoDB connection closed");
+  }
+}
+
+migrateJobIds()
+  .then(() => console.log("Migration completed"))
+  .catch(err => {
+    console.error("Error running migration:", err);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,23 @@
+// Programmatic entry point for the Naukri scraper.
+//
+//   const { scrapeNaukriJobs } = require("naukri-aws-script");
+//   const { jobs, summary } = await scrapeNaukriJobs({
+//     query: "Frontend Developer",
+//     location: "Bangalore",
+//     storage: { mongo: { uri, dbName, collection }, outputFile: "./jobs.json" },
+//   });
+//
+// scrapeNaukriSearches(searches, options) runs several searches in one browser session,
+// refreshKnownJobs(options) revisits jobs already in MongoDB and marks closed postings.
+
+const { scrapeNaukriJobs, scrapeNaukriSearches } = require("./lib/scraper");
+const { refreshKnownJobs } = require("./lib/refresh");
+const { DEFAULT_OPTIONS, resolveOptions } = require("./lib/config");
+
+module.exports = {
+  scrapeNaukriJobs,
+  scrapeNaukriSearches,
+  refreshKnownJobs,
+  DEFAULT_OPTIONS,
+  resolveOptions,
+};
@@ -1,6 +1,10 @@
 const { MongoClient } = require("mongodb");
 require("dotenv").config();
 const fs = require("fs");
+const { DEFAULT_HISTORY_COLLECTION, loadJobHistory } = require("./lib/history");
+const { buildJobQuery, runJobQuery, findJob } = require("./lib/jobQuery");
+const { ensureTextIndex } = require("./lib/storage");
+const { EXPORT_FORMATS, FORMAT_EXTENSIONS, exportJobs } = require("./lib/exporters");
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -15,14 +19,77 @@ for (let i = 0; i < args.length; i += 2) {
 const MONGODB_URI = params.mongoUri || process.env.MONGODB_URI;
 const DB_NAME = params.dbName || process.env.DB_NAME || "naukri_jobs_db";
 const COLLECTION_NAME = params.collection || process.env.COLLECTION_NAME || "jobs";
+const HISTORY_COLLECTION_NAME = params.historyCollection || process.env.HISTORY_COLLECTION_NAME || DEFAULT_HISTORY_COLLECTION;
 
-// Query parameters
-const query = params.query || "";
-const location = params.location || "";
-const limit = parseInt(params.limit || "50");
-const outputFile = params.output || `./query_results_${new Date().toISOString().split('T')[0]}.json`;
+// Query parameters: filters, sort and paging, see buildJobFilter and buildJobQuery in lib/jobQuery.js
+const historyJobId = params.history || ""; // Show the change timeline of this job instead of searching
+const format = params.format || "json"; // json, ndjson, csv, xlsx, markdown or table (printed, no file)
+const columns = params.columns ? params.columns.split(",").map(column => column.trim()).filter(Boolean) : null; // Fields to export
+const outputFile = params.output ||
+  `./query_results_${new Date().toISOString().split('T')[0]}.${historyJobId ? "json" : FORMAT_EXTENSIONS[format] || "json"}`;
+
+/**
+ * Shortens a value for one-line timeline output.
+ * @param {*} value
+ * @returns {string}
+ */
+function preview(value) {
+  if (value === null || value === undefined) return "(none)";
+  const text = String(value).replace(/\s+/g, " ");
+  return text.length > 80 ? `${text.substring(0, 77)}...` : text;
+}
+
+/**
+ * Prints a job's change timeline and saves it, with the current job, to the output file.
+ * @param {import('mongodb').Db} db
+ * @param {string} jobId - Naukri job ID (or URL for jobs without one).
+ * @returns {Promise<number>} - Number of versions found.
+ */
+async function showJobHistory(db, jobId) {
+  const job = await findJob(db.collection(COLLECTION_NAME), jobId);
+  const history = await loadJobHistory(db.collection(HISTORY_COLLECTION_NAME), jobId);
+  if (!job && history.length === 0) {
+    console.log(`No job found with ID ${jobId}`);
+    return 0;
+  }
+
+  if (job) {
+    console.log(`${job["Job Title"]} at ${job["Company Name"]} (${job.jobId || job["Job URL"]})`);
+    console.log(`First scraped: ${job.firstScraped ? job.firstScraped.toISOString() : "unknown"}, status: ${job.status || "active"}`);
+  }
+  if (history.length === 0) {
+    console.log("No changes recorded.");
+  }
+  history.forEach(entry => {
+    console.log(`v${entry.version} ${entry.changedAt.toISOString()}`);
+    entry.changes.forEach(change => {
+      console.log(`  ${change.field}: ${preview(change.from)} -> ${preview(change.to)}`);
+    });
+  });
+
+  fs.writeFileSync(outputFile, JSON.stringify({ job, history }, null, 2));
+  console.log(`Timeline saved to ${outputFile}`);
+  return history.length;
+}
+
+/**
+ * Prints full-text search results by rank with their highlighted description snippets.
+ * @param {Object[]} jobs - Results with searchScore and snippets, best first.
+ * @param {number} offset - Results skipped before these, for numbering.
+ */
+function showSearchResults(jobs, offset) {
+  jobs.forEach((job, index) => {
+    console.log(`\n${offset + index + 1}. ${job["Job Title"]} at ${job["Company Name"]} (score ${job.searchScore.toFixed(2)})`);
+    console.log(`   ${job["Job URL"]}`);
+    job.snippets.forEach(snippet => console.log(`   ${snippet}`));
+  });
+}
 
 async function queryJobs() {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`--format must be one of ${EXPORT_FORMATS.join(", ")}, got "${format}"`);
+  }
+  const jobQuery = historyJobId ? null : buildJobQuery(params);
   const client = new MongoClient(MONGODB_URI);
   
   try {
@@ -30,25 +97,25 @@ async function queryJobs() {
     console.log("Connected to MongoDB");
     
     const db = client.db(DB_NAME);
-    const jobsCollection = db.collection(COLLECTION_NAME);
-    
-    // Build query object
-    const queryObj = {};
-    if (query) {
-      queryObj["Job Title"] = { $regex: query, $options: "i" };
-    }
-    if (location) {
-      queryObj["Location"] = { $regex: location, $options: "i" };
+    if (historyJobId) {
+      return showJobHistory(db, historyJobId);
     }
-    
+    const jobsCollection = db.collection(COLLECTION_NAME);
+    if (jobQuery.search) await ensureTextIndex(jobsCollection);
+
     // Execute query
-    const jobs = await jobsCollection.find(queryObj).limit(limit).toArray();
+    const { total, skip, jobs } = await runJobQuery(jobsCollection, jobQuery);
     
-    console.log(`Found ${jobs.length} jobs matching criteria`);
+    console.log(`Found ${total} jobs matching criteria, showing ${jobs.length > 0 ? `${skip + 1}-${skip + jobs.length}` : "none"}`);
+    if (jobQuery.search) {
+      showSearchResults(jobs, skip);
+    }
     
-    // Save results to file
-    fs.writeFileSync(outputFile, JSON.stringify(jobs, null, 2));
-    console.log(`Results saved to ${outputFile}`);
+    // Save results in the chosen format
+    await exportJobs(jobs, { format, file: outputFile, columns });
+    if (format !== "table") {
+      console.log(`Results saved to ${outputFile} (${format})`);
+    }
     
     return jobs.length;
   } finally {
@@ -58,5 +125,7 @@ async function queryJobs() {
 }
 
 queryJobs()
-  .then(jobCount => console.log(`Query completed, found ${jobCount} jobs`))
+  .then(count => console.log(historyJobId
+    ? `History query completed, found ${count} versions`
+    : `Query completed, found ${count} jobs`))
   .catch(err => console.error("Error executing query:", err));
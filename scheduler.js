@@ -0,0 +1,76 @@
+require("dotenv").config();
+const { parseArgs, loadSchedulesFile } = require("./lib/config");
+const { setupFileLogging } = require("./lib/logger");
+const { DEFAULT_SCHEDULE_HISTORY_FILE, createScheduler, loadScheduleHistory } = require("./lib/scheduler");
+const { nextCronTime, parseCron } = require("./lib/cron");
+const { searchSignature } = require("./lib/checkpoint");
+
+// Runs the searches of a searches file on their cron schedules until stopped, see lib/scheduler.js.
+// Usage: node scheduler.js [--searches config/searches.json] [--maxConcurrent 1] [--history schedule_history.json]
+//        node scheduler.js --status true   (next run times and last result of every search)
+
+const params = parseArgs(process.argv.slice(2));
+
+const SEARCHES_FILE = params.searches || process.env.SEARCHES_FILE || "./config/searches.json";
+const HISTORY_FILE = params.history || process.env.SCHEDULE_HISTORY_FILE || DEFAULT_SCHEDULE_HISTORY_FILE;
+const MAX_CONCURRENT_RUNS = Math.max(1, parseInt(params.maxConcurrent || process.env.SCHEDULER_MAX_CONCURRENT || "1", 10) || 1);
+const LOG_FILE = params.log || process.env.SCHEDULER_LOG_FILE || "./logs/scheduler.log";
+
+/**
+ * Prints every schedule with its next start and its last recorded run.
+ * @param {Object[]} schedules - From loadSchedulesFile.
+ */
+function printStatus(schedules) {
+  const history = loadScheduleHistory(HISTORY_FILE);
+  for (const schedule of schedules) {
+    const key = searchSignature(schedule.search);
+    const last = history.filter(entry => entry.search === key).pop();
+    console.log(`${schedule.search.query} in ${schedule.search.location}${schedule.search.experience ? ` (Exp: ${schedule.search.experience})` : ""}`);
+    console.log(`  Schedule: ${schedule.schedule}, jitter ${schedule.jitterMinutes} min, timeout ${schedule.timeoutMinutes ? `${schedule.timeoutMinutes} min` : "none"}`);
+    console.log(`  Next run: ${nextCronTime(parseCron(schedule.schedule)).toLocaleString()}`);
+    console.log(last
+      ? `  Last run: ${last.status} at ${new Date(last.startedAt || last.scheduledFor).toLocaleString()}, ${Math.round(last.durationMs / 1000)}s, exit code ${last.exitCode}`
+      : "  Last run: none");
+  }
+}
+
+function main() {
+  const schedules = loadSchedulesFile(SEARCHES_FILE);
+  if (params.status === "true") {
+    printStatus(schedules);
+    return;
+  }
+
+  // The file stores are read whole when a run starts and rewritten from memory, so concurrent
+  // runs would drop each other's jobs; only MongoDB takes writes from several processes
+  const storageType = process.env.STORAGE_TYPE || "mongodb";
+  if (MAX_CONCURRENT_RUNS > 1 && storageType !== "mongodb") {
+    throw new Error(`--maxConcurrent ${MAX_CONCURRENT_RUNS} needs MongoDB storage, runs with STORAGE_TYPE=${storageType} must run one at a time`);
+  }
+
+  const logStream = setupFileLogging(LOG_FILE);
+  const scheduler = createScheduler({ schedules, historyFile: HISTORY_FILE, maxConcurrentRuns: MAX_CONCURRENT_RUNS });
+  console.log(`Scheduler started with ${schedules.length} searches from ${SEARCHES_FILE}, history in ${HISTORY_FILE}`);
+  scheduler.start();
+
+  let shuttingDown = false;
+  const shutdown = () => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log("Shutting down scheduler...");
+    scheduler.stop().then(() => {
+      console.log("Scheduler stopped.");
+      if (logStream) logStream.end(() => process.exit(0));
+      else process.exit(0);
+    });
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`Error starting scheduler: ${err.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,60 @@
+require("dotenv").config();
+const fs = require("fs");
+const { parseArgs } = require("./lib/config");
+const { loadNotificationsConfig, notifyNewJobs } = require("./lib/notifications");
+
+// Sends a sample digest to every notification channel, to check SMTP and webhook settings
+// (for example against a local SMTP catcher or HTTP listener) without running a scrape.
+// Usage: node send_test_notification.js --notifications config/notifications.json [--jobs naukri_jobs.json] [--limit 3]
+
+const params = parseArgs(process.argv.slice(2));
+const NOTIFICATIONS_FILE = params.notifications || process.env.NOTIFICATIONS_FILE || "./config/notifications.json";
+const JOBS_FILE = params.jobs || ""; // JSON file of jobs, e.g. the backup file; a made-up job when not set
+const LIMIT = parseInt(params.limit || "3", 10);
+
+const SAMPLE_JOB = {
+  "Job Title": "Test Notification - Data Analyst",
+  "Company Name": "Example Corp",
+  "Location": "Bangalore",
+  "Experience Required": "0-2 Yrs",
+  "Salary": "Not disclosed",
+  "Application Type": "Internal",
+  "Job URL": "https://www.naukri.com/",
+  jobId: "test-notification",
+  "Scraped Date": new Date(),
+  "Skills": "SQL, Excel, Python",
+  "Posted": "Just Now",
+  "Search Query": "Data Analyst",
+  "Search Location": "Bangalore",
+  "Search Experience": "0",
+};
+
+/**
+ * Picks the jobs to send: the newest of the jobs file, or the sample job.
+ * @returns {Object[]}
+ */
+function loadTestJobs() {
+  if (!JOBS_FILE) return [SAMPLE_JOB];
+  const jobs = JSON.parse(fs.readFileSync(JOBS_FILE, "utf8"));
+  return jobs
+    .sort((a, b) => new Date(b["Scraped Date"]) - new Date(a["Scraped Date"]))
+    .slice(0, LIMIT);
+}
+
+async function sendTestNotification() {
+  const notifications = loadNotificationsConfig(NOTIFICATIONS_FILE);
+  const jobs = loadTestJobs();
+  console.log(`Sending ${jobs.length} jobs to ${notifications.channels.length} channels from ${NOTIFICATIONS_FILE}...`);
+  const now = new Date();
+  const results = await notifyNewJobs(notifications, jobs, { startedAt: now, finishedAt: now });
+  for (const result of results) {
+    console.log(`${result.type} ${result.target}: ${result.sent ? `sent ${result.jobs} jobs` : `failed - ${result.error}`}`);
+  }
+  if (results.length === 0) console.log("No channel matched the searches of these jobs.");
+  if (results.some(result => !result.sent)) process.exitCode = 1;
+}
+
+sendTestNotification().catch(err => {
+  console.error(`Error sending test notification: ${err.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,59 @@
+const { MongoClient } = require("mongodb");
+require("dotenv").config();
+const fs = require("fs");
+const { parseArgs } = require("./lib/config");
+const { canonicalCity } = require("./lib/location");
+
+// Counts how many stored jobs ask for each canonical skill.
+// Usage: node skill_demand.js [--location city] [--top 30] [--output file.json]
+
+const params = parseArgs(process.argv.slice(2));
+
+// MongoDB configuration
+const MONGODB_URI = params.mongoUri || process.env.MONGODB_URI || "mongodb://localhost:27017";
+const DB_NAME = params.dbName || process.env.DB_NAME || "naukri_jobs_db";
+const COLLECTION_NAME = params.collection || process.env.COLLECTION_NAME || "jobs";
+
+// Query parameters
+const location = params.location || "";
+const top = parseInt(params.top || "30");
+const outputFile = params.output || "";
+
+async function skillDemand() {
+  const client = new MongoClient(MONGODB_URI);
+
+  try {
+    await client.connect();
+    console.log("Connected to MongoDB");
+
+    const jobsCollection = client.db(DB_NAME).collection(COLLECTION_NAME);
+    const match = location ? { locationCities: canonicalCity(location) } : {};
+
+    const counts = await jobsCollection.aggregate([
+      { $match: match },
+      { $unwind: "$skillsCanonical" },
+      { $group: { _id: "$skillsCanonical", jobs: { $sum: 1 } } },
+      { $sort: { jobs: -1, _id: 1 } },
+      { $limit: top },
+      { $project: { _id: 0, skill: "$_id", jobs: 1 } },
+    ]).toArray();
+
+    counts.forEach(({ skill, jobs }) => console.log(`${String(jobs).padStart(6)}  ${skill}`));
+
+    if (outputFile) {
+      fs.writeFileSync(outputFile, JSON.stringify(counts, null, 2));
+      console.log(`Results saved to ${outputFile}`);
+    }
+    return counts.length;
+  } finally {
+    await client.close();
+    console.log("MongoDB connection closed");
+  }
+}
+
+skillDemand()
+  .then(count => console.log(`Skill demand completed, listed ${count} skills`))
+  .catch(err => {
+    console.error("Error computing skill demand:", err);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,33 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createApiServer } = require("../lib/apiServer");
+
+/**
+ * Starts the API server on a free port over a database stand-in whose collections hold no jobs.
+ * @param {import('node:test').TestContext} t
+ * @returns {Promise<string>} - Base URL of the server.
+ */
+async function startServer(t) {
+  const emptyCollection = { findOne: async () => null };
+  const server = createApiServer({
+    db: { collection: () => emptyCollection },
+    collection: "jobs",
+    historyCollection: "job_history",
+    runsCollection: "runs",
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+test("the API answers 400 to malformed percent-encoding", async t => {
+  t.mock.method(console, "log", () => {});
+  const baseUrl = await startServer(t);
+  for (const pathname of ["/api/jobs/%ZZ", "/%E0%A4%A"]) {
+    const response = await fetch(`${baseUrl}${pathname}`);
+    assert.equal(response.status, 400, pathname);
+    assert.match((await response.json()).error, /Malformed URL/);
+  }
+  const missing = await fetch(`${baseUrl}/api/jobs/080425008002`);
+  assert.equal(missing.status, 404);
+});
@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCron, nextCronTime } = require("../lib/cron");
+
+test("parseCron expands ranges, steps, lists, names and macros", () => {
+  const cron = parseCron("*/15 8-18/2 1,15 jan-mar mon-fri");
+  assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hours], [8, 10, 12, 14, 16, 18]);
+  assert.deepEqual([...cron.daysOfMonth], [1, 15]);
+  assert.deepEqual([...cron.months], [1, 2, 3]);
+  assert.deepEqual([...cron.daysOfWeek], [1, 2, 3, 4, 5]);
+  assert.deepEqual([...parseCron("5/20 * * * *").minutes], [5, 25, 45]);
+  assert.deepEqual([...parseCron("0 0 * * 7").daysOfWeek], [0]);
+  assert.deepEqual([...parseCron("@daily").hours], [0]);
+});
+
+test("parseCron rejects malformed expressions", () => {
+  assert.throws(() => parseCron("* * * *"), /must have 5 fields/);
+  assert.throws(() => parseCron("60 * * * *"), /out of range/);
+  assert.throws(() => parseCron("* * * * fri-mon"), /Invalid range/);
+  assert.throws(() => parseCron("*/0 * * * *"), /Invalid step/);
+  assert.throws(() => parseCron("* * * foo *"), /Invalid month/);
+});
+
+test("nextCronTime finds the next matching minute after a time", () => {
+  const monday = new Date(2026, 0, 5, 9, 30, 20); // Monday 5 January 2026, 09:30:20
+  assert.deepEqual(nextCronTime("*/15 * * * *", monday), new Date(2026, 0, 5, 9, 45));
+  assert.deepEqual(nextCronTime("30 9 * * mon-fri", monday), new Date(2026, 0, 6, 9, 30));
+  assert.deepEqual(nextCronTime("0 8 * * sat", monday), new Date(2026, 0, 10, 8, 0));
+  assert.deepEqual(nextCronTime("@monthly", monday), new Date(2026, 1, 1, 0, 0));
+});
+
+test("nextCronTime matches either day field when both are restricted", () => {
+  // The 15th, or any Friday
+  assert.deepEqual(nextCronTime("0 0 15 * fri", new Date(2026, 0, 5)), new Date(2026, 0, 9, 0, 0));
+  assert.throws(() => nextCronTime("0 0 31 2 *", new Date(2026, 0, 5)), /never matches/);
+});
@@ -0,0 +1,39 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { escapeCsvField, formatCsv, parseCsv } = require("../lib/csv");
+
+test("escapeCsvField quotes only fields that need it", () => {
+  assert.equal(escapeCsvField("plain"), "plain");
+  assert.equal(escapeCsvField("a, b"), '"a, b"');
+  assert.equal(escapeCsvField('say "hi"'), '"say ""hi"""');
+  assert.equal(escapeCsvField("two\nlines"), '"two\nlines"');
+  assert.equal(escapeCsvField(null), "");
+});
+
+test("parseCsv reads quoted fields, doubled quotes and line breaks inside fields", () => {
+  const text = 'title,description\r\n"Dev, UI","Line one\r\nsaid ""hi"""\r\nAnalyst,\nTester,last line';
+  assert.deepEqual(parseCsv(text), {
+    columns: ["title", "description"],
+    rows: [
+      { title: "Dev, UI", description: 'Line one\r\nsaid "hi"' },
+      { title: "Analyst", description: "" },
+      { title: "Tester", description: "last line" },
+    ],
+  });
+});
+
+test("parseCsv fills missing trailing cells and reads an empty text", () => {
+  assert.deepEqual(parseCsv("a,b,c\n1\n").rows, [{ a: "1", b: "", c: "" }]);
+  assert.deepEqual(parseCsv(""), { columns: [], rows: [] });
+});
+
+test("formatCsv output parses back to the same rows", () => {
+  const columns = ["Job Title", "Job Description", "Salary"];
+  const rows = [
+    { "Job Title": 'Frontend "React" Developer', "Job Description": "About\n\n- Build UIs, fast\r\n- Ship", "Salary": "3-5 Lacs PA" },
+    { "Job Title": "Analyst", "Salary": "" },
+  ];
+  const parsed = parseCsv(formatCsv(columns, rows));
+  assert.deepEqual(parsed.columns, columns);
+  assert.deepEqual(parsed.rows, [rows[0], { "Job Title": "Analyst", "Job Description": "", "Salary": "" }]);
+});
@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { exportJobs, formatMarkdownTable, spreadsheetText } = require("../lib/exporters");
+const { parseCsv } = require("../lib/csv");
+
+const JOBS = [
+  {
+    "Job Title": "Frontend Developer",
+    "Company Name": "Neridio, Systems",
+    "Job Description": 'About the role\n\n- Build "pixel perfect" UIs\r\n- Ship fast',
+    "Salary": "3-5 Lacs PA",
+    salaryMin: -1,
+    "Scraped Date": new Date("2026-01-05T09:00:00.000Z"),
+  },
+  {
+    "Job Title": '=HYPERLINK("http://evil.example","Apply")',
+    "Company Name": "+91 Corp",
+    "Job Description": "@SUM(A1:A2)",
+    "Salary": "-",
+    salaryMin: 300000,
+    "Scraped Date": new Date("2026-01-06T09:00:00.000Z"),
+  },
+];
+const COLUMNS = ["Job Title", "Company Name", "Job Description", "Salary", "salaryMin", "Scraped Date"];
+
+function tempFile(t, name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "export-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, name);
+}
+
+test("spreadsheetText defuses text that would run as a formula", () => {
+  assert.equal(spreadsheetText("=1+2"), "'=1+2");
+  assert.equal(spreadsheetText("+91 98765"), "'+91 98765");
+  assert.equal(spreadsheetText("-"), "'-");
+  assert.equal(spreadsheetText("@SUM(A1)"), "'@SUM(A1)");
+  assert.equal(spreadsheetText("\t=1"), "'\t=1");
+  assert.equal(spreadsheetText("3-5 Lacs PA"), "3-5 Lacs PA");
+  assert.equal(spreadsheetText(-5), "-5");
+  assert.equal(spreadsheetText(null), "");
+});
+
+test("the CSV export quotes multi-line descriptions and defuses formulas", async t => {
+  const file = tempFile(t, "jobs.csv");
+  await exportJobs(JOBS, { format: "csv", file, columns: COLUMNS });
+  const { columns, rows } = parseCsv(fs.readFileSync(file, "utf8"));
+  assert.deepEqual(columns, COLUMNS);
+  assert.equal(rows.length, 2);
+  assert.deepEqual(rows[0], {
+    "Job Title": "Frontend Developer",
+    "Company Name": "Neridio, Systems",
+    "Job Description": 'About the role\n\n- Build "pixel perfect" UIs\r\n- Ship fast',
+    "Salary": "3-5 Lacs PA",
+    "salaryMin": "-1",
+    "Scraped Date": "2026-01-05T09:00:00.000Z",
+  });
+  assert.equal(rows[1]["Job Title"], `'=HYPERLINK("http://evil.example","Apply")`);
+  assert.equal(rows[1]["Company Name"], "'+91 Corp");
+  assert.equal(rows[1]["Job Description"], "'@SUM(A1:A2)");
+  assert.equal(rows[1]["Salary"], "'-");
+});
+
+test("the XLSX export keeps dates and numbers and defuses formulas", async t => {
+  const ExcelJS = require("exceljs");
+  const file = tempFile(t, "jobs.xlsx");
+  await exportJobs(JOBS, { format: "xlsx", file, columns: COLUMNS });
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(file);
+  const sheet = workbook.getWorksheet("Jobs");
+  const row = sheet.getRow(3);
+  assert.equal(row.getCell(1).value, `'=HYPERLINK("http://evil.example","Apply")`);
+  assert.equal(row.getCell(1).formula, undefined);
+  assert.equal(row.getCell(2).value, "'+91 Corp");
+  assert.equal(row.getCell(5).value, 300000);
+  assert.deepEqual(row.getCell(6).value, new Date("2026-01-06T09:00:00.000Z"));
+  // XML turns "\r\n" into "\n"
+  assert.equal(sheet.getRow(2).getCell(3).value, JOBS[0]["Job Description"].replace(/\r\n/g, "\n"));
+});
+
+test("formatMarkdownTable escapes pipes and backslashes and flattens line breaks", () => {
+  const table = formatMarkdownTable(
+    [{ "Job Title": "Dev | Ops", "Skills": "C:\\tools", "Job Description": "one\r\ntwo\nthree" }],
+    ["Job Title", "Skills", "Job Description"]
+  );
+  assert.equal(table, [
+    "| Job Title | Skills | Job Description |",
+    "| --- | --- | --- |",
+    "| Dev \\| Ops | C:\\\\tools | one<br>two<br>three |",
+    "",
+  ].join("\n"));
+});
@@ -0,0 +1,135 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { extractJobCard, extractJobDetails, detectJobStatus } = require("../lib/extractors");
+const { loadSelectors } = require("../lib/selectors");
+
+// Saved Naukri markup, trimmed to the parts the extractors read
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+}
+
+test("extractJobCard reads every field of a current search result card", () => {
+  const card = extractJobCard(fixture("card.html"));
+  assert.equal(card.jobTitle, "Frontend Developer");
+  assert.equal(
+    card.jobUrl,
+    "https://www.naukri.com/job-listings-frontend-developer-neridio-systems-bengaluru-0-to-0-years-080425008002?src=jobsearchDesk&sid=17440"
+  );
+  assert.equal(card.jobId, "080425008002");
+  assert.equal(card.companyName, "Neridio Systems");
+  assert.equal(card.location, "Bengaluru(Arekere)");
+  assert.equal(card.experience, "0 Yrs");
+  assert.equal(card.salary, "3-5 Lacs PA");
+  assert.deepEqual(card.skillsList, ["React.js", "Html/Css", "Javascript"]);
+  assert.equal(card.skills, "React.js, Html/Css, Javascript");
+  assert.equal(card.jobDescription, "Build responsive user interfaces with React.");
+  assert.equal(card.posted, "3 Days Ago");
+  assert.deepEqual(card.matchedSelectors, {
+    title: "a.title",
+    company: "a.comp-name",
+    location: "span.locWdth",
+    experience: "span.expwdth",
+    salary: "span.sal-wrap span",
+    skills: "ul.tags-gt li",
+    description: "span.job-desc",
+    posted: "span.job-post-day",
+    jobId: "[data-job-id]",
+  });
+});
+
+test("extractJobCard falls back to older selectors and defaults on a legacy card", () => {
+  const card = extractJobCard(fixture("card-legacy.html"), { defaultLocation: "Pune" });
+  assert.equal(card.jobTitle, "Data Analyst");
+  // Relative links resolve against Naukri and the ID comes from the URL when the card has none
+  assert.equal(card.jobUrl, "https://www.naukri.com/job-listings-data-analyst-acme-analytics-pune-2-to-5-years-150525501234");
+  assert.equal(card.jobId, "150525501234");
+  assert.equal(card.companyName, "Acme Analytics");
+  assert.equal(card.location, "Pune");
+  assert.equal(card.experience, "Not specified");
+  assert.equal(card.salary, "Not disclosed");
+  assert.equal(card.jobDescription, "Not available");
+  assert.deepEqual(card.skillsList, ["SQL", "Power Bi"]);
+  assert.equal(card.posted, "Just Now");
+  assert.equal(card.matchedSelectors.title, ".jobTitle.ellipsis");
+  assert.equal(card.matchedSelectors.location, null);
+  assert.equal(card.matchedSelectors.salary, null);
+});
+
+test("extractJobCard uses the selectors it is given", () => {
+  const card = extractJobCard(fixture("card.html"), {
+    selectors: { title: ["h2 a"], company: ["span.comp-dtls-wrap"], location: [], experience: [], salary: [], skills: [], description: [] },
+  });
+  assert.equal(card.jobTitle, "Frontend Developer");
+  assert.equal(card.companyName, "Neridio Systems");
+  assert.equal(card.salary, "Not disclosed");
+  assert.equal(card.posted, null);
+});
+
+test("extractJobCard reads the job ID from the registry's attribute selectors before the URL", () => {
+  const html = fixture("card.html").replace('data-job-id="080425008002"', 'data-jobid="999999999999"');
+  const card = extractJobCard(html);
+  assert.equal(card.jobId, "999999999999");
+  assert.equal(card.matchedSelectors.jobId, "[data-jobid]");
+
+  const selectors = { ...loadSelectors().card, jobId: ["[data-job-ref]"] };
+  const fromUrl = extractJobCard(html, { selectors });
+  assert.equal(fromUrl.jobId, "080425008002");
+  assert.equal(fromUrl.matchedSelectors.jobId, null);
+});
+
+test("extractJobCard drops job links that are not web addresses", () => {
+  const card = extractJobCard(fixture("card.html").replace(/href="[^"]*"/, 'href="javascript:alert(1)"'));
+  assert.equal(card.jobUrl, null);
+  assert.equal(card.jobTitle, "Frontend Developer");
+});
+
+test("extractJobCard returns defaults for empty markup", () => {
+  const card = extractJobCard("");
+  assert.equal(card.jobTitle, "Not available");
+  assert.equal(card.jobUrl, null);
+  assert.equal(card.jobId, null);
+  assert.equal(card.skills, "Not available");
+});
+
+test("extractJobDetails reads the description as rendered text, key skills and stats", () => {
+  const details = extractJobDetails(fixture("detail-active.html"));
+  assert.equal(
+    details.jobDescription,
+    [
+      "About the role",
+      "We are looking for a frontend developer to build our customer portal.",
+      "Write clean, tested React code",
+      "Work with designers on new features",
+      "Salary is reviewed yearly.",
+      "Remote friendly.",
+    ].join("\n")
+  );
+  assert.deepEqual(details.skillsList, ["React.js", "Javascript", "Html/Css"]);
+  assert.equal(details.skills, "React.js, Javascript, Html/Css");
+  assert.equal(details.posted, "3 days ago");
+  assert.equal(details.openings, "2");
+  assert.equal(details.applicants, "100+");
+  assert.equal(details.matchedSelectors.description, "div.styles_JDC__dang-inner-html__h0K4t");
+});
+
+test("extractJobDetails returns nulls for a page without details", () => {
+  const details = extractJobDetails(fixture("detail-loading.html"));
+  assert.equal(details.jobDescription, null);
+  assert.equal(details.skills, null);
+  assert.deepEqual(details.skillsList, []);
+  assert.equal(details.posted, null);
+  assert.deepEqual(details.matchedSelectors, { description: null, skills: null, stats: null });
+});
+
+test("detectJobStatus tells open, expired and removed postings apart", () => {
+  assert.equal(detectJobStatus(fixture("detail-active.html")), "active");
+  assert.equal(detectJobStatus(fixture("detail-expired.html")), "expired");
+  assert.equal(detectJobStatus(fixture("detail-removed.html")), "removed");
+});
+
+test("detectJobStatus leaves the status unknown for a half-loaded page", () => {
+  assert.equal(detectJobStatus(fixture("detail-loading.html")), null);
+  assert.equal(detectJobStatus(""), null);
+});
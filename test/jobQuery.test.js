@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildJobFilter, findJob } = require("../lib/jobQuery");
+
+/**
+ * Finds the first $regex condition on a field of a filter.
+ * @param {Object} filter
+ * @param {string} field
+ * @returns {RegExp|null}
+ */
+function fieldRegex(filter, field) {
+  if (!filter || typeof filter !== "object") return null;
+  if (filter[field] && filter[field].$regex !== undefined) return new RegExp(filter[field].$regex, filter[field].$options);
+  for (const value of Object.values(filter)) {
+    const found = fieldRegex(value, field);
+    if (found) return found;
+  }
+  return null;
+}
+
+test("buildJobFilter matches a location alias only as a whole segment", () => {
+  const location = fieldRegex(buildJobFilter({ location: "Mumbai" }), "Location");
+  for (const text of ["Mumbai", "Hybrid - Mumbai", "Pune, Mumbai", "Mumbai(Andheri)", "Noida/Mumbai", "Bombay"]) {
+    assert.ok(location.test(text), text);
+  }
+  for (const text of ["Navi Mumbai", "Navi Mumbai, Pune", "Mumbaikar Street"]) {
+    assert.ok(!location.test(text), text);
+  }
+});
+
+test("buildJobFilter matches the title query as literal text", () => {
+  const title = fieldRegex(buildJobFilter({ query: "C++ (Senior" }), "Job Title");
+  assert.ok(title.test("Senior C++ (Senior) Developer"));
+  assert.ok(!title.test("Senior CC Developer"));
+});
+
+test("findJob falls back to the _id or URL of jobs without a jobId", async () => {
+  let filter;
+  const collection = { findOne: async query => { filter = query; return null; } };
+  await findJob(collection, "65f1c2a9e4b0a1b2c3d4e5f6");
+  assert.equal(filter.$or.length, 3);
+  assert.equal(String(filter.$or[2]._id), "65f1c2a9e4b0a1b2c3d4e5f6");
+  await findJob(collection, "080425008002");
+  assert.deepEqual(filter.$or, [{ jobId: "080425008002" }, { "Job URL": "080425008002" }]);
+});
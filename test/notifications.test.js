@@ -0,0 +1,153 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { notifyNewJobs, matchesChannelSearches } = require("../lib/notifications");
+const { formatEmailDigest } = require("../lib/notifications/email");
+
+const RUN = { startedAt: new Date("2026-01-05T09:00:00Z"), finishedAt: new Date("2026-01-05T09:20:00Z") };
+
+function job(overrides) {
+  return {
+    jobId: "080425008002",
+    "Job Title": "Frontend Developer",
+    "Company Name": "Neridio Systems",
+    "Location": "Bengaluru(Arekere)",
+    "Experience Required": "0 Yrs",
+    "Salary": "3-5 Lacs PA",
+    "Application Type": "Internal",
+    "Job URL": "https://www.naukri.com/job-listings-frontend-developer-080425008002",
+    "Skills": "React.js, Javascript",
+    "Search Query": "Frontend Developer",
+    "Search Location": "Bangalore",
+    "Search Experience": "0",
+    ...overrides,
+  };
+}
+
+/**
+ * Starts a local HTTP server standing in for a webhook receiver.
+ * @param {import('node:test').TestContext} t
+ * @param {number} [statusCode] - Status every request is answered with.
+ * @returns {Promise<{url: string, requests: {headers: Object, body: Object}[]}>}
+ */
+async function startReceiver(t, statusCode = 200) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      requests.push({ method: req.method, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(statusCode).end(statusCode === 200 ? "ok" : "nope");
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+}
+
+test("a json webhook receives the new jobs grouped by search", async t => {
+  t.mock.method(console, "log", () => {});
+  const receiver = await startReceiver(t);
+  const jobs = [job(), job({ jobId: "2", "Job Title": "Data Analyst", "Search Query": "Data Analyst" })];
+  const results = await notifyNewJobs(
+    { smtp: null, channels: [{ type: "webhook", url: receiver.url, headers: { "X-Token": "secret" } }] },
+    jobs,
+    RUN
+  );
+
+  assert.deepEqual(results, [{ type: "webhook", target: new URL(receiver.url).host, jobs: 2, sent: true, error: null }]);
+  const [request] = receiver.requests;
+  assert.equal(request.method, "POST");
+  assert.equal(request.headers["content-type"], "application/json");
+  assert.equal(request.headers["x-token"], "secret");
+  assert.equal(request.body.event, "jobs.new");
+  assert.equal(request.body.total, 2);
+  assert.equal(request.body.run.startedAt, RUN.startedAt.toISOString());
+  assert.deepEqual(request.body.searches.map(search => [search.query, search.count]), [["Frontend Developer", 1], ["Data Analyst", 1]]);
+  assert.equal(request.body.searches[0].jobs[0].jobId, "080425008002");
+  assert.equal(request.body.searches[0].jobs[0]["Job URL"], jobs[0]["Job URL"]);
+});
+
+test("a slack webhook receives a message with escaped job links", async t => {
+  t.mock.method(console, "log", () => {});
+  const receiver = await startReceiver(t);
+  await notifyNewJobs(
+    { smtp: null, channels: [{ type: "webhook", url: receiver.url, format: "slack" }] },
+    [job({ "Job Title": "R&D <Lead> | UI", "Company Name": "A&B" })],
+    RUN
+  );
+
+  const { body } = receiver.requests[0];
+  assert.equal(body.text, "1 new job on Naukri");
+  assert.equal(body.blocks[0].type, "header");
+  const section = body.blocks[1].text.text;
+  assert.match(section, /^\*Frontend Developer\* in Bangalore - 1 new/);
+  assert.ok(section.includes(`<${job()["Job URL"]}|R&amp;D &lt;Lead&gt; / UI>`));
+  assert.ok(section.includes("A&amp;B"));
+});
+
+test("a failing webhook is reported without stopping the other channels", async t => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const failing = await startReceiver(t, 500);
+  const working = await startReceiver(t);
+  const results = await notifyNewJobs(
+    { smtp: null, channels: [{ type: "webhook", url: failing.url }, { type: "webhook", url: working.url }] },
+    [job()],
+    RUN
+  );
+  assert.equal(results[0].sent, false);
+  assert.match(results[0].error, /Webhook answered 500: nope/);
+  assert.equal(results[1].sent, true);
+  assert.equal(working.requests.length, 1);
+});
+
+test("channels only get the jobs of their searches", async t => {
+  t.mock.method(console, "log", () => {});
+  const receiver = await startReceiver(t);
+  const jobs = [job(), job({ jobId: "2", "Search Location": "Pune" })];
+  const results = await notifyNewJobs(
+    {
+      smtp: null,
+      channels: [
+        { type: "webhook", url: receiver.url, searches: [{ query: "frontend developer", location: "pune" }] },
+        { type: "webhook", url: receiver.url, searches: [{ query: "Data Analyst" }] },
+      ],
+    },
+    jobs,
+    RUN
+  );
+  assert.equal(results.length, 1); // The second channel had nothing to report
+  assert.deepEqual(receiver.requests[0].body.searches.map(search => search.location), ["Pune"]);
+});
+
+test("matchesChannelSearches compares only the keys a search sets, ignoring case", () => {
+  const bangalore = job();
+  assert.equal(matchesChannelSearches(bangalore, undefined), true);
+  assert.equal(matchesChannelSearches(bangalore, []), true);
+  assert.equal(matchesChannelSearches(bangalore, [{ query: "FRONTEND DEVELOPER" }]), true);
+  assert.equal(matchesChannelSearches(bangalore, [{ query: "Frontend Developer", experience: "0" }]), true);
+  assert.equal(matchesChannelSearches(bangalore, [{ query: "Frontend Developer", location: "Pune" }]), false);
+  assert.equal(matchesChannelSearches(bangalore, [{ location: "Pune" }, { location: "bangalore" }]), true);
+});
+
+test("formatEmailDigest escapes scraped text in the HTML part", () => {
+  const digest = {
+    run: RUN,
+    total: 1,
+    groups: [{
+      search: { query: "Frontend <Dev>", location: "Bangalore", experience: "0" },
+      jobs: [job({ "Job Title": "<script>alert(1)</script>", "Company Name": "A&B", "Job URL": 'https://www.naukri.com/x?a=1&b="2"' })],
+    }],
+  };
+  const email = formatEmailDigest(digest);
+  assert.equal(email.subject, "1 new job on Naukri for Frontend <Dev> in Bangalore (Exp: 0)");
+  assert.ok(!email.html.includes("<script>"));
+  assert.ok(email.html.includes("&lt;script&gt;alert(1)&lt;/script&gt;"));
+  assert.ok(email.html.includes("<h3>Frontend &lt;Dev&gt; in Bangalore (Exp: 0) - 1 new</h3>"));
+  assert.ok(email.html.includes('href="https://www.naukri.com/x?a=1&amp;b=&quot;2&quot;"'));
+  assert.ok(email.html.includes("A&amp;B"));
+  assert.ok(email.text.includes("* <script>alert(1)</script>"));
+});
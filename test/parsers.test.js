@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseSalary, parseExperience, parseJobId } = require("../lib/parsers");
+
+function salaryRange(text) {
+  const { salaryMin, salaryMax } = parseSalary(text);
+  return [salaryMin, salaryMax];
+}
+
+test("parseSalary applies the trailing unit to both ends of a range", () => {
+  assert.deepEqual(salaryRange("3-5 Lacs PA"), [300000, 500000]);
+  assert.deepEqual(salaryRange("1-1.5 Cr"), [10000000, 15000000]);
+  assert.deepEqual(salaryRange("10 to 15 Lakhs"), [1000000, 1500000]);
+});
+
+test("parseSalary reads rupee amounts with thousands separators", () => {
+  assert.deepEqual(salaryRange("₹ 4,50,000 - 6,00,000 PA"), [450000, 600000]);
+  assert.deepEqual(parseSalary("₹ 15,000-20,000 /month"), {
+    salaryMin: 180000,
+    salaryMax: 240000,
+    salaryPeriod: "monthly",
+    salaryDisclosed: true,
+  });
+});
+
+test("parseSalary keeps a grouped or large unitless low end in rupees", () => {
+  assert.deepEqual(salaryRange("50,000 - 1 Lacs PA"), [50000, 100000]);
+  assert.deepEqual(salaryRange("50000 - 1 Lacs PA"), [50000, 100000]);
+  assert.deepEqual(salaryRange("2,00,000 - 3.5 Lacs"), [200000, 350000]);
+});
+
+test("parseSalary uses each end's own unit when both have one", () => {
+  assert.deepEqual(salaryRange("90 K - 1.2 Lacs"), [90000, 120000]);
+  assert.deepEqual(salaryRange("80 Lacs - 1.2 Cr"), [8000000, 12000000]);
+});
+
+test("parseSalary reads LPA as lakhs per annum", () => {
+  assert.deepEqual(salaryRange("10-15 LPA"), [1000000, 1500000]);
+  assert.deepEqual(salaryRange("12 LPA"), [1200000, 1200000]);
+  assert.deepEqual(salaryRange("4.5 L.P.A."), [450000, 450000]);
+  assert.deepEqual(salaryRange("8 LPA - 12 LPA"), [800000, 1200000]);
+});
+
+test("parseSalary annualizes daily and weekly pay", () => {
+  assert.deepEqual(parseSalary("500-800 per day"), {
+    salaryMin: 130000,
+    salaryMax: 208000,
+    salaryPeriod: "daily",
+    salaryDisclosed: true,
+  });
+  assert.equal(parseSalary("₹ 2,000 /week").salaryMax, 104000);
+  assert.equal(parseSalary("₹ 2,000 /week").salaryPeriod, "weekly");
+});
+
+test("parseSalary treats implausibly small amounts as undisclosed", () => {
+  assert.equal(parseSalary("10-15").salaryDisclosed, false);
+  assert.equal(parseSalary("12").salaryMin, null);
+  assert.equal(parseSalary("15 per hour").salaryDisclosed, false);
+});
+
+test("parseSalary reads single values and undisclosed salaries", () => {
+  assert.deepEqual(salaryRange("12 Lacs PA"), [1200000, 1200000]);
+  assert.equal(parseSalary("Not disclosed").salaryDisclosed, false);
+  assert.equal(parseSalary("Unpaid").salaryMin, null);
+  assert.equal(parseSalary(null).salaryDisclosed, false);
+});
+
+test("parseExperience reads ranges, open-ended values and freshers", () => {
+  assert.deepEqual(parseExperience("0-2 Yrs"), { experienceMin: 0, experienceMax: 2 });
+  assert.deepEqual(parseExperience("5+ Yrs"), { experienceMin: 5, experienceMax: null });
+  assert.deepEqual(parseExperience("Fresher"), { experienceMin: 0, experienceMax: 0 });
+  assert.deepEqual(parseExperience("Not specified"), { experienceMin: null, experienceMax: null });
+});
+
+test("parseJobId takes the trailing digits of a listing URL", () => {
+  assert.equal(
+    parseJobId("https://www.naukri.com/job-listings-frontend-developer-neridio-systems-bengaluru-0-to-0-years-080425008002?src=jobsearchDesk"),
+    "080425008002"
+  );
+  assert.equal(parseJobId("https://www.naukri.com/neridio-systems-jobs-careers"), null);
+});
@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { checkJob, buildActiveUpdate } = require("../lib/refresh");
+const { deriveJobFields } = require("../lib/jobFields");
+const { loadSelectors } = require("../lib/selectors");
+
+const JOB = {
+  jobId: "080425008002",
+  "Job URL": "https://www.naukri.com/job-listings-frontend-developer-neridio-systems-bengaluru-0-to-0-years-080425008002",
+};
+const DETAIL_SELECTORS = loadSelectors().detail;
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+}
+
+/**
+ * A WebDriver stand-in that lands on the given page.
+ * @param {string} currentUrl
+ * @param {string} pageHtml
+ * @returns {Object}
+ */
+function fakeDriver(currentUrl, pageHtml) {
+  return {
+    get: async () => {},
+    sleep: async () => {},
+    getPageSource: async () => pageHtml,
+    getCurrentUrl: async () => currentUrl,
+  };
+}
+
+test("checkJob reads the status of the listing page itself", async t => {
+  t.mock.method(console, "log", () => {});
+  const active = await checkJob(fakeDriver(JOB["Job URL"], fixture("detail-active.html")), JOB, DETAIL_SELECTORS);
+  assert.equal(active.status, "active");
+  assert.equal(active.details.openings, "2");
+  const expired = await checkJob(fakeDriver(JOB["Job URL"], fixture("detail-expired.html")), JOB, DETAIL_SELECTORS);
+  assert.deepEqual(expired, { status: "expired", details: null });
+});
+
+test("checkJob marks a job removed only on a not-found or search results redirect", async t => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+  const judge = async (url, html) => (await checkJob(fakeDriver(url, html), JOB, DETAIL_SELECTORS)).status;
+  assert.equal(await judge("https://www.naukri.com/404", fixture("detail-removed.html")), "removed");
+  assert.equal(await judge("https://www.naukri.com/frontend-developer-jobs-in-bengaluru", "<html><body></body></html>"), "removed");
+  assert.equal(await judge("https://www.naukri.com/nlogin/login", "<html><body>Login</body></html>"), null);
+  assert.equal(await judge("https://www.naukri.com/", fixture("detail-loading.html")), null);
+  assert.equal(await judge("https://www.google.com/sorry/index", "<html><body>Unusual traffic</body></html>"), null);
+});
+
+test("buildActiveUpdate keeps postedAt consistent with the time Posted was read", () => {
+  const scrapedAt = new Date("2026-01-01T10:00:00Z");
+  const visitAt = new Date("2026-01-20T10:00:00Z");
+  const job = { ...JOB, "Posted": "2 Days Ago", "Scraped Date": scrapedAt };
+  job.postedAt = deriveJobFields(job).postedAt;
+  const update = buildActiveUpdate(job, { posted: "Just now" }, visitAt);
+  assert.equal(update["Posted"], "Just now");
+  assert.deepEqual(update.postedReadAt, visitAt);
+  assert.deepEqual(update.postedAt, new Date("2025-12-30T10:00:00Z"));
+  // A backfill reads the new text against postedReadAt, not the original scrape time
+  assert.deepEqual(deriveJobFields({ ...job, ...update }).postedAt, visitAt);
+});
@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createScheduler, loadScheduleHistory } = require("../lib/scheduler");
+
+const SEARCH = { query: "Data Analyst", location: "Pune", experience: "0" };
+
+/**
+ * Records the runs a scheduler starts; each run ends when finish() or stop() is called.
+ * @returns {{launchRun: function, started: Object[], maxRunning: function(): number}}
+ */
+function fakeRuns() {
+  const started = [];
+  let running = 0;
+  let maxRunning = 0;
+  const launchRun = entry => {
+    let finish;
+    const done = new Promise(resolve => {
+      finish = (exitCode = 0, output = "") => {
+        running--;
+        resolve({ exitCode, signal: null, output });
+      };
+    });
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    const run = { entry, done, finish, signals: [] };
+    // Like dynamic_scraper.js, a stopped run cleans up and exits with code 1
+    run.stop = signal => {
+      run.signals.push(signal);
+      if (run.signals.length === 1) finish(1, `Stopped by ${signal}`);
+    };
+    started.push(run);
+    return run;
+  };
+  return { launchRun, started, maxRunning: () => maxRunning };
+}
+
+function tempHistoryFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "scheduler-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "schedule_history.json");
+}
+
+test("the scheduler never runs two schedules of the same search at once", async t => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: new Date(2026, 0, 5, 9, 1, 30) });
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+  const historyFile = tempHistoryFile(t);
+  const runs = fakeRuns();
+  const scheduler = createScheduler({
+    schedules: [
+      { search: SEARCH, schedule: "* * * * *", jitterMinutes: 0, timeoutMinutes: 0 },
+      { search: { ...SEARCH, maxPages: 2 }, schedule: "*/2 * * * *", jitterMinutes: 0, timeoutMinutes: 0 },
+      { search: { ...SEARCH, location: "Mumbai" }, schedule: "* * * * *", jitterMinutes: 0, timeoutMinutes: 0 },
+    ],
+    historyFile,
+    maxConcurrentRuns: 2,
+    launchRun: runs.launchRun,
+  });
+  scheduler.start();
+
+  t.mock.timers.tick(30 * 1000); // 09:02, all three are due
+  assert.deepEqual(runs.started.map(run => run.entry.search.location), ["Pune", "Mumbai"]);
+  const skipped = loadScheduleHistory(historyFile).filter(entry => entry.status === "skipped");
+  assert.equal(skipped.length, 1);
+  assert.match(skipped[0].error, /same search/);
+
+  runs.started.forEach(run => run.finish());
+  await new Promise(resolve => setImmediate(resolve));
+  t.mock.timers.tick(60 * 1000); // 09:03, the Pune run has ended
+  assert.equal(runs.started.length, 4);
+  assert.equal(runs.maxRunning(), 2);
+  assert.equal(runs.started.filter(run => run.entry.search.location === "Pune").length, 2);
+
+  await scheduler.stop();
+});
+
+test("the scheduler stops a run that exceeds its timeout and records it", async t => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: new Date(2026, 0, 5, 9, 0, 30) });
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+  const historyFile = tempHistoryFile(t);
+  const runs = fakeRuns();
+  const scheduler = createScheduler({
+    schedules: [{ search: SEARCH, schedule: "0 * * * *", jitterMinutes: 0, timeoutMinutes: 5 }],
+    historyFile,
+    launchRun: runs.launchRun,
+  });
+  scheduler.start();
+
+  t.mock.timers.tick(59 * 60 * 1000 + 30 * 1000); // 10:00
+  assert.equal(runs.started.length, 1);
+  t.mock.timers.tick(5 * 60 * 1000);
+  assert.deepEqual(runs.started[0].signals, ["SIGTERM"]);
+  await new Promise(resolve => setImmediate(resolve));
+
+  const [entry] = loadScheduleHistory(historyFile);
+  assert.equal(entry.status, "timed out");
+  assert.equal(entry.exitCode, 1);
+  assert.equal(entry.error, "Stopped by SIGTERM");
+  assert.equal(scheduler.status()[0].running, false);
+  await scheduler.stop();
+});
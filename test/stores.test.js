@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createJobStore } = require("../lib/stores");
+const { readJsonJobs } = require("../lib/stores/jsonStore");
+const { readNdjsonJobs } = require("../lib/stores/ndjsonStore");
+const { readCsvJobs } = require("../lib/stores/csvStore");
+const { jobKey, reviveJobDates } = require("../lib/jobFields");
+
+const JOB = {
+  jobId: "080425008002",
+  "Job Title": 'Frontend Developer "React", UI',
+  "Company Name": "Neridio, Systems",
+  "Location": "Bengaluru(Arekere)",
+  "Salary": "3-5 Lacs PA",
+  "Job URL": "https://www.naukri.com/job-listings-frontend-developer-080425008002",
+  "Job Description": 'About the role\r\nBuild "pixel perfect" UIs, fast.\nLine three\n',
+  "Skills": "React.js, Html/Css",
+  "Search Experience": "0",
+  "Scraped Date": new Date("2026-01-05T09:00:00.000Z"),
+  "postedAt": new Date("2026-01-02T09:00:00.000Z"),
+  salaryMin: 300000,
+  salaryDisclosed: true,
+  skillsCanonical: ["React", "HTML/CSS"],
+  status: "active",
+};
+
+// better-sqlite3 is an optional dependency
+let sqliteInstalled = true;
+try {
+  require("better-sqlite3");
+} catch (e) {
+  sqliteInstalled = false;
+}
+
+// Reads a store file back without the store, to check what was written
+const READERS = {
+  json: readJsonJobs,
+  ndjson: readNdjsonJobs,
+  csv: readCsvJobs,
+  sqlite: file => {
+    const Database = require("better-sqlite3");
+    const db = new Database(file, { readonly: true });
+    try {
+      return db.prepare("SELECT data FROM jobs").all().map(row => JSON.parse(row.data));
+    } finally {
+      db.close();
+    }
+  },
+};
+
+/**
+ * Reads the latest record of every job in a store file.
+ * @param {string} type
+ * @param {string} file
+ * @returns {Object[]}
+ */
+function readBack(type, file) {
+  const jobs = new Map();
+  for (const job of READERS[type](file)) jobs.set(jobKey(job), reviveJobDates(job));
+  return [...jobs.values()];
+}
+
+// Empty CSV cells are read back as missing fields
+const withoutNulls = record => Object.fromEntries(Object.entries(record).filter(([, value]) => value !== null));
+
+for (const type of Object.keys(READERS)) {
+  const skip = type === "sqlite" && !sqliteInstalled && "better-sqlite3 is not installed";
+  test(`the ${type} store round-trips quotes, line breaks, dates and lists`, { skip }, async t => {
+    t.mock.method(console, "log", () => {});
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `store-test-${type}-`));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, `jobs.${type}`);
+
+    const store = createJobStore({ type, file });
+    await store.open();
+    assert.deepEqual(await store.upsertJobs([JOB]), { matched: 0, upserted: 1, writeErrors: 0, changed: 0 });
+    const seenAt = new Date("2026-01-06T09:00:00.000Z");
+    assert.deepEqual(await store.markJobsSeen([JOB], seenAt), { matched: 1 });
+    await store.close();
+
+    const [stored] = readBack(type, file);
+    assert.ok(stored.firstScraped instanceof Date);
+    assert.deepEqual(stored.lastUpdated, stored.firstScraped);
+    assert.deepEqual(
+      withoutNulls(stored),
+      { ...JOB, firstScraped: stored.firstScraped, lastUpdated: stored.lastUpdated, lastSeen: seenAt }
+    );
+
+    // A second run finds the job and saving it unchanged changes nothing
+    const reopened = createJobStore({ type, file });
+    await reopened.open();
+    const keys = new Set();
+    await reopened.loadJobKeys(keys);
+    assert.deepEqual([...keys], [JOB.jobId]);
+    assert.deepEqual(await reopened.upsertJobs([JOB]), { matched: 1, upserted: 0, writeErrors: 0, changed: 0 });
+    await reopened.close();
+    assert.equal(readBack(type, file).length, 1);
+  });
+}